@@ -24,6 +24,35 @@ const {
 
 const debug = require('debug')('poly-fetch:utils');
 
+/**
+ * Returns a header value as a single string, repeated headers (i.e. an array of values)
+ * are combined into a comma-separated list (see RFC 7230, section 3.2.2).
+ *
+ * @param {string|string[]} [value] header value
+ * @returns {string|undefined}
+ */
+function joinValues(value) {
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+// supported content codings
+const DECODERS = {
+  // use Z_SYNC_FLUSH like cURL does
+  gzip: () => createGunzip({ flush: Z_SYNC_FLUSH, finishFlush: Z_SYNC_FLUSH }),
+  'x-gzip': () => createGunzip({ flush: Z_SYNC_FLUSH, finishFlush: Z_SYNC_FLUSH }),
+  deflate: () => createInflate(),
+  'x-deflate': () => createInflate(),
+  br: () => createBrotliDecompress(),
+};
+
+// content codings in the order they have been applied (`identity` is skipped)
+function contentCodings(headers) {
+  return (joinValues(headers['content-encoding']) || '')
+    .split(',')
+    .map((coding) => coding.trim())
+    .filter((coding) => coding && coding !== 'identity');
+}
+
 function shouldDecode(statusCode, headers) {
   if (statusCode === 204 || statusCode === 304) {
     return false;
@@ -31,7 +60,8 @@ function shouldDecode(statusCode, headers) {
   if (+headers['content-length'] === 0) {
     return false;
   }
-  return /^\s*(?:(x-)?deflate|(x-)?gzip|br)\s*$/.test(headers['content-encoding']);
+  const codings = contentCodings(headers);
+  return codings.length > 0 && codings.every((coding) => DECODERS[coding]);
 }
 
 function decodeStream(statusCode, headers, readableStream, onError) {
@@ -46,29 +76,9 @@ function decodeStream(statusCode, headers, readableStream, onError) {
     }
   };
 
-  switch (headers['content-encoding'].trim()) {
-    case 'gzip':
-    case 'x-gzip':
-      // use Z_SYNC_FLUSH like cURL does
-      return pipeline(
-        readableStream,
-        createGunzip({ flush: Z_SYNC_FLUSH, finishFlush: Z_SYNC_FLUSH }),
-        cb,
-      );
-
-    case 'deflate':
-    case 'x-deflate':
-      return pipeline(readableStream, createInflate(), cb);
-
-    case 'br':
-      return pipeline(readableStream, createBrotliDecompress(), cb);
-
-    /* istanbul ignore next */
-    default:
-      // dead branch since it's covered by shouldDecode already;
-      // only here to make eslint stop complaining
-      return readableStream;
-  }
+  // multiple codings are decoded in reverse order
+  const decoders = contentCodings(headers).reverse().map((coding) => DECODERS[coding]());
+  return pipeline(readableStream, ...decoders, cb);
 }
 
 function isPlainObject(val) {
@@ -88,4 +98,41 @@ function isPlainObject(val) {
   return Object.getPrototypeOf(val) === proto;
 }
 
-module.exports = { decodeStream, isPlainObject };
+// header fields which must not occur more than once: duplicates are discarded
+// (same as node's `IncomingMessage.headers`)
+const SINGLETON_HEADERS = [
+  'age', 'authorization', 'content-length', 'content-type', 'etag', 'expires', 'from', 'host',
+  'if-modified-since', 'if-unmodified-since', 'last-modified', 'location', 'max-forwards',
+  'proxy-authorization', 'referer', 'retry-after', 'server', 'user-agent',
+];
+
+/**
+ * Creates a headers object from a list of raw header names and values
+ * (`[name1, value1, name2, value2, ...]`). Header names are lower-cased,
+ * repeated headers are represented as an array of values. HTTP/2 pseudo headers are skipped.
+ *
+ * @param {string[]} rawHeaders
+ * @returns {Object<string, string|string[]>}
+ */
+function multiValueHeaders(rawHeaders) {
+  const headers = {};
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    const name = rawHeaders[i].toLowerCase();
+    const value = rawHeaders[i + 1];
+    const existing = headers[name];
+    if (name.startsWith(':')) {
+      // pseudo header
+    } else if (existing === undefined) {
+      headers[name] = name === 'set-cookie' ? [value] : value;
+    } else if (Array.isArray(existing)) {
+      existing.push(value);
+    } else if (!SINGLETON_HEADERS.includes(name)) {
+      headers[name] = [existing, value];
+    }
+  }
+  return headers;
+}
+
+module.exports = {
+  decodeStream, isPlainObject, joinValues, multiValueHeaders,
+};
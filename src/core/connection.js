@@ -0,0 +1,85 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { certificateChain, spkiHash } = require('./tls');
+
+// connection details are captured once per socket (keep-alive sockets and
+// HTTP/2 sessions serve multiple requests) and shared by their responses (frozen)
+const cache = new WeakMap();
+
+const certificateInfo = (cert) => Object.freeze({
+  subject: Object.freeze({ ...cert.subject }),
+  issuer: Object.freeze({ ...cert.issuer }),
+  subjectAltName: cert.subjectaltname,
+  serialNumber: cert.serialNumber,
+  validFrom: cert.valid_from,
+  validTo: cert.valid_to,
+  fingerprint256: cert.fingerprint256,
+  pin: cert.pubkey ? spkiHash(cert) : undefined,
+});
+
+const tlsInfo = (socket) => {
+  const cipher = socket.getCipher();
+  // the raw certificate has to be retrieved while the socket is open, the chain
+  // (and the public key hashes) are only computed on demand
+  const peerCertificate = socket.getPeerCertificate(true);
+  let peerCertificates;
+  return Object.freeze({
+    protocol: socket.getProtocol(),
+    cipher: cipher ? Object.freeze({ ...cipher }) : undefined,
+    alpnProtocol: socket.alpnProtocol || undefined,
+    servername: socket.servername || undefined,
+    authorized: socket.authorized,
+    authorizationError: socket.authorizationError,
+    sessionReused: socket.isSessionReused(),
+    get peerCertificates() {
+      if (!peerCertificates) {
+        const chain = certificateChain(peerCertificate);
+        peerCertificates = Object.freeze(chain.map(certificateInfo));
+      }
+      return peerCertificates;
+    },
+  });
+};
+
+/**
+ * Returns the details of the connection a response has been received on:
+ * remote and local address and, for encrypted connections, the negotiated
+ * TLS parameters and the peer certificate chain (computed on first access).
+ * The returned object is frozen.
+ *
+ * @param {net.Socket|tls.TLSSocket} [socket] connected socket (or `http2Session.socket`)
+ * @returns {Object|undefined} `{ remoteAddress, remotePort, remoteFamily, localAddress,
+ *          localPort, tls }` (`tls` is `undefined` for unencrypted connections)
+ */
+const connectionInfo = (socket) => {
+  if (!socket) {
+    return undefined;
+  }
+  let info = cache.get(socket);
+  if (!info) {
+    info = Object.freeze({
+      remoteAddress: socket.remoteAddress,
+      remotePort: socket.remotePort,
+      remoteFamily: socket.remoteFamily,
+      localAddress: socket.localAddress,
+      localPort: socket.localPort,
+      tls: socket.encrypted ? tlsInfo(socket) : undefined,
+    });
+    cache.set(socket, info);
+  }
+  return info;
+};
+
+module.exports = { connectionInfo };
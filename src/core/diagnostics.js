@@ -0,0 +1,69 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+let diagnosticsChannel;
+try {
+  // eslint-disable-next-line global-require
+  diagnosticsChannel = require('diagnostics_channel');
+} catch (err) /* istanbul ignore next */ {
+  // diagnostics_channel is not available on node < 14.17
+  diagnosticsChannel = null;
+}
+
+/* istanbul ignore next */
+const NOOP_CHANNEL = {
+  hasSubscribers: false,
+  publish: () => {},
+};
+
+const channel = (name) => (diagnosticsChannel
+  ? diagnosticsChannel.channel(name)
+  : /* istanbul ignore next */ NOOP_CHANNEL);
+
+/**
+ * Named `diagnostics_channel` channels on which poly-fetch publishes structured events.
+ *
+ * Messages:
+ * - `poly-fetch:request:start`: `{ request }`
+ * - `poly-fetch:request:headers`: `{ request, response }`
+ * - `poly-fetch:request:end`: `{ request, response }` (response body has been consumed)
+ * - `poly-fetch:request:error`: `{ request, error }` (`response` is set if the body stream failed)
+ * - `poly-fetch:session:connect`: `{ origin, session }` (HTTP/2)
+ * - `poly-fetch:session:close`: `{ origin, session }` (HTTP/2)
+ * - `poly-fetch:session:goaway`: `{ origin, session, errorCode, lastStreamID }` (HTTP/2)
+ * - `poly-fetch:socket:reuse`: `{ origin, socket }` (socket from ALPN negotiation is reused)
+ * - `poly-fetch:alpn:cache-hit`: `{ origin, protocol }`
+ * - `poly-fetch:alpn:cache-miss`: `{ origin }`
+ * - `poly-fetch:tls:pin-mismatch`: `{ host, pins, spki, reportOnly }` (`pins` context option)
+ *
+ * `request` is a plain object (`{ url, method, headers }`), identical for all events of
+ * a request; `response` is the core response (`{ statusCode, httpVersion, headers, ... }`).
+ *
+ * @see https://nodejs.org/api/diagnostics_channel.html
+ */
+const channels = {
+  requestStart: channel('poly-fetch:request:start'),
+  requestHeaders: channel('poly-fetch:request:headers'),
+  requestEnd: channel('poly-fetch:request:end'),
+  requestError: channel('poly-fetch:request:error'),
+  sessionConnect: channel('poly-fetch:session:connect'),
+  sessionClose: channel('poly-fetch:session:close'),
+  sessionGoaway: channel('poly-fetch:session:goaway'),
+  socketReuse: channel('poly-fetch:socket:reuse'),
+  alpnCacheHit: channel('poly-fetch:alpn:cache-hit'),
+  alpnCacheMiss: channel('poly-fetch:alpn:cache-miss'),
+  pinMismatch: channel('poly-fetch:tls:pin-mismatch'),
+};
+
+module.exports = { channels };
@@ -0,0 +1,210 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+
+const LRU = require('lru-cache');
+const debug = require('debug')('poly-fetch:dns');
+
+// dnsCache option defaults
+const DNS_CACHE_SIZE = 1000; // # of entries
+const DNS_CACHE_TTL = 60 * 1000; // (ms): 1m
+const DNS_CACHE_NEGATIVE_TTL = 5 * 1000; // (ms): 5s
+
+// errors which are cached (i.e. the host name doesn't exist), other errors are considered transient
+const NEGATIVE_ERROR_CODES = ['ENOTFOUND', 'ENODATA'];
+
+const normalizeFamily = (family) => {
+  switch (family) {
+    case 'IPv4':
+      return 4;
+    case 'IPv6':
+      return 6;
+    default:
+      return family || 0;
+  }
+};
+
+/**
+ * Creates a caching `dns.lookup` compatible function.
+ *
+ * Positive answers are cached for `ttl` ms, negative answers (`ENOTFOUND`, `ENODATA`)
+ * for `negativeTtl` ms. Concurrent lookups of the same host name are coalesced.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.lookup=dns.lookup] underlying lookup function
+ * @param {number} [options.ttl=60000] (ms) time to live of resolved addresses
+ * @param {number} [options.negativeTtl=5000] (ms) time to live of failed lookups
+ * @param {number} [options.size=1000] max. number of cached host names
+ * @returns {Function} `lookup(hostname, options, callback)` with a `clear()` method
+ */
+const createDnsCache = ({
+  lookup = dns.lookup,
+  ttl = DNS_CACHE_TTL,
+  negativeTtl = DNS_CACHE_NEGATIVE_TTL,
+  size = DNS_CACHE_SIZE,
+} = {}) => {
+  const cache = new LRU({ max: size });
+  const pending = new Map();
+
+  const cachedLookup = (hostname, options, callback) => {
+    let cb = callback;
+    let opts = options;
+    if (typeof opts === 'function') {
+      cb = opts;
+      opts = {};
+    } else if (typeof opts === 'number') {
+      opts = { family: opts };
+    }
+    const family = normalizeFamily(opts.family);
+    const key = `${hostname}/${family}`;
+
+    const answer = ({ err, addresses }) => {
+      if (err) {
+        cb(err);
+      } else if (opts.all) {
+        cb(null, addresses.map((addr) => ({ ...addr })));
+      } else {
+        cb(null, addresses[0].address, addresses[0].family);
+      }
+    };
+
+    const entry = cache.get(key);
+    if (entry) {
+      debug(`${hostname}: cache hit`);
+      process.nextTick(answer, entry);
+      return;
+    }
+    if (pending.has(key)) {
+      pending.get(key).push(answer);
+      return;
+    }
+    pending.set(key, [answer]);
+    lookup(hostname, { family, hints: opts.hints, all: true }, (err, addresses) => {
+      let result;
+      if (err) {
+        result = { err };
+        if (NEGATIVE_ERROR_CODES.includes(err.code)) {
+          debug(`${hostname}: caching negative answer (${err.code})`);
+          cache.set(key, result, negativeTtl);
+        }
+      } else {
+        result = { addresses };
+        debug(`${hostname}: caching ${addresses.map(({ address }) => address).join(', ')}`);
+        cache.set(key, result, ttl);
+      }
+      const callbacks = pending.get(key);
+      pending.delete(key);
+      callbacks.forEach((fn) => fn(result));
+    });
+  };
+
+  /**
+   * Flushes the cache.
+   */
+  cachedLookup.clear = () => cache.reset();
+
+  return cachedLookup;
+};
+
+/**
+ * Creates a `dns.lookup` compatible function which resolves to a static list of addresses.
+ *
+ * @param {string[]} addresses ip addresses
+ * @returns {Function} `lookup(hostname, options, callback)`
+ */
+const createStaticLookup = (addresses) => (hostname, options, callback) => {
+  const cb = typeof options === 'function' ? options : callback;
+  const opts = options !== null && typeof options === 'object' ? options : {};
+  const family = normalizeFamily(typeof options === 'number' ? options : opts.family);
+  const results = addresses
+    .map((address) => ({ address, family: net.isIP(address) }))
+    .filter((result) => !family || result.family === family);
+  process.nextTick(() => {
+    if (!results.length) {
+      const err = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+      err.code = 'ENOTFOUND';
+      err.hostname = hostname;
+      cb(err);
+    } else if (opts.all) {
+      cb(null, results);
+    } else {
+      cb(null, results[0].address, results[0].family);
+    }
+  });
+};
+
+/**
+ * Parses the `resolve` context option (static host resolution overrides,
+ * similar to curl's `--resolve`).
+ *
+ * @param {Object} [resolve] `{ 'host:port': address | address[] }`
+ * @returns {Map<string, string[]>|undefined} addresses by `host:port`
+ * @throws {TypeError} if an entry is invalid
+ */
+const parseResolve = (resolve) => {
+  if (!resolve) {
+    return undefined;
+  }
+  const overrides = new Map();
+  Object.entries(resolve).forEach(([hostPort, value]) => {
+    const match = /^(.+):(\d+)$/.exec(hostPort);
+    const addresses = [].concat(value).map((address) => `${address}`.replace(/^\[(.*)\]$/, '$1'));
+    if (!match || !addresses.length || !addresses.every((address) => net.isIP(address))) {
+      throw new TypeError(`invalid resolve entry: ${hostPort} -> ${value} (expected 'host:port': ip address(es))`);
+    }
+    const host = match[1].toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    overrides.set(`${host}:${+match[2]}`, addresses);
+  });
+  return overrides;
+};
+
+/**
+ * Returns the addresses a url's host is statically resolved to (see `resolve` context option).
+ *
+ * @param {Object} ctx context
+ * @param {URL} url
+ * @returns {string[]|undefined}
+ */
+const resolveOverride = (ctx, url) => {
+  if (!ctx.resolve) {
+    return undefined;
+  }
+  const host = url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+  const port = +url.port || (url.protocol === 'https:' ? 443 : 80);
+  return ctx.resolve.get(`${host}:${port}`);
+};
+
+/**
+ * Returns the lookup function to be used for connecting to a url's host:
+ * static addresses (`resolve` context option), custom lookup (`lookup`/`dnsCache`)
+ * or `undefined` (default `dns.lookup`).
+ *
+ * @param {Object} ctx context
+ * @param {URL} url
+ * @returns {Function|undefined}
+ */
+const connectLookup = (ctx, url) => {
+  const addresses = resolveOverride(ctx, url);
+  return addresses ? createStaticLookup(addresses) : ctx.lookup;
+};
+
+module.exports = {
+  createDnsCache,
+  createStaticLookup,
+  parseResolve,
+  resolveOverride,
+  connectLookup,
+};
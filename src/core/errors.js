@@ -10,6 +10,8 @@
  * governing permissions and limitations under the License.
  */
 
+/* eslint-disable max-classes-per-file */
+
 'use strict';
 
 /**
@@ -25,4 +27,85 @@ class RequestAbortedError extends Error {
   }
 }
 
-module.exports = { RequestAbortedError };
+/**
+ * Error thrown if an HTTP/2 request has been refused by the server (GOAWAY)
+ * and can't be transparently re-issued (e.g. because its body is a stream).
+ * The server guarantees that the request has not been processed.
+ */
+class RequestRefusedError extends Error {
+  /**
+   * @param {string} message error message
+   * @param {number} [errorCode] HTTP/2 error code of the GOAWAY frame
+   * @param {number} [lastStreamID] last stream id processed by the server
+   */
+  constructor(message, errorCode, lastStreamID) {
+    super(message);
+    this.code = 'ERR_HTTP2_REQUEST_REFUSED';
+    this.errorCode = errorCode;
+    this.lastStreamID = lastStreamID;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  get [Symbol.toStringTag]() {
+    return this.constructor.name;
+  }
+}
+
+/**
+ * Error thrown if a request timeout expires.
+ */
+class RequestTimeoutError extends Error {
+  /**
+   * @param {string} message error message
+   * @param {string} phase the phase of the request which timed out
+   *                       (`connect`, `secureConnect`, `response`, `idle` or `total`)
+   */
+  constructor(message, phase) {
+    super(message);
+    this.code = 'ETIMEDOUT';
+    this.phase = phase;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  get [Symbol.toStringTag]() {
+    return this.constructor.name;
+  }
+}
+
+/**
+ * Error thrown if none of the public keys of a server's certificate chain
+ * matches the pinned public keys (`pins` context option).
+ */
+class PinMismatchError extends Error {
+  /**
+   * @param {string} message error message
+   * @param {string} host server host name
+   * @param {string[]} pins pinned public key hashes
+   * @param {string[]} spki public key hashes of the server's certificate chain
+   */
+  constructor(message, host, pins, spki) {
+    super(message);
+    this.code = 'ERR_TLS_PIN_MISMATCH';
+    this.host = host;
+    this.pins = pins;
+    this.spki = spki;
+  }
+
+  get name() {
+    return this.constructor.name;
+  }
+
+  get [Symbol.toStringTag]() {
+    return this.constructor.name;
+  }
+}
+
+module.exports = {
+  RequestAbortedError, RequestRefusedError, RequestTimeoutError, PinMismatchError,
+};
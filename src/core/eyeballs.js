@@ -0,0 +1,244 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+const { performance } = require('perf_hooks');
+
+const debug = require('debug')('poly-fetch:eyeballs');
+
+const { RequestAbortedError } = require('./errors');
+const { watchConnect } = require('./timeout');
+const { mark, recordTlsSession } = require('./timings');
+
+// RFC 8305, section 5: recommended "Connection Attempt Delay"
+const CONNECTION_ATTEMPT_DELAY = 250; // (ms)
+
+/**
+ * Orders the resolved addresses by interleaving the address families,
+ * starting with the family of the first (i.e. preferred) address.
+ *
+ * @see https://tools.ietf.org/html/rfc8305#section-4
+ *
+ * @param {Array<Object>} addresses `[{ address, family }]`
+ * @returns {Array<Object>}
+ */
+const interleave = (addresses) => {
+  if (!addresses.length) {
+    return addresses;
+  }
+  const preferred = addresses.filter(({ family }) => family === addresses[0].family);
+  const others = addresses.filter(({ family }) => family !== addresses[0].family);
+  const result = [];
+  for (let i = 0; i < Math.max(preferred.length, others.length); i += 1) {
+    if (i < preferred.length) {
+      result.push(preferred[i]);
+    }
+    if (i < others.length) {
+      result.push(others[i]);
+    }
+  }
+  return result;
+};
+
+const resolve = (hostname, { lookup = dns.lookup, family }) => new Promise((res, rej) => {
+  lookup(hostname, { all: true, family: family || 0 }, (err, addresses) => {
+    if (err) {
+      rej(err);
+    } else {
+      res(addresses);
+    }
+  });
+});
+
+/**
+ * Connects to a host using Happy Eyeballs v2 (RFC 8305): the host name is resolved to
+ * all its (IPv6 and IPv4) addresses, connection attempts are started in a staggered
+ * fashion and the first connection to become ready wins; all other attempts are discarded.
+ *
+ * @see https://tools.ietf.org/html/rfc8305
+ *
+ * @param {string} host host name or ip address
+ * @param {Object} options
+ * @param {Function} options.connect `(address, family) => socket` starts a connection attempt
+ * @param {string} [options.readyEvent='connect'] socket event signalling a successful
+ *        connection attempt (e.g. `'secureConnect'`)
+ * @param {Function} [options.lookup=dns.lookup] DNS lookup function
+ * @param {number} [options.family] restrict to IPv4 (`4`) or IPv6 (`6`) addresses
+ * @param {number} [options.attemptDelay=250] (ms) delay between connection attempts
+ * @param {AbortSignal} [options.signal] optional abort signal
+ * @param {Object} [options.timings] timing state (see `createTimings`)
+ * @returns {Promise<Socket>} the winning socket
+ */
+const happyEyeballs = async (host, options) => {
+  const {
+    connect,
+    readyEvent = 'connect',
+    attemptDelay = CONNECTION_ATTEMPT_DELAY,
+    signal,
+    timings,
+  } = options;
+
+  const hostname = host.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  if (net.isIP(hostname)) {
+    // no DNS lookup required
+    mark(timings, 'domainLookupStart', 'domainLookupEnd', 'connectStart');
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    mark(timings, 'domainLookupStart');
+    addresses = interleave(await resolve(hostname, options));
+    mark(timings, 'domainLookupEnd', 'connectStart');
+    if (!addresses.length) {
+      const err = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+      err.code = 'ENOTFOUND';
+      err.hostname = hostname;
+      throw err;
+    }
+  }
+  if (signal && signal.aborted) {
+    throw new RequestAbortedError();
+  }
+
+  return new Promise((res, rej) => {
+    const pending = new Set();
+    let index = 0;
+    let timer;
+    let lastError;
+    let settled = false;
+
+    const settle = (err, socket) => {
+      settled = true;
+      clearTimeout(timer);
+      if (signal) {
+        // eslint-disable-next-line no-use-before-define
+        signal.removeEventListener('abort', onAbortSignal);
+      }
+      pending.forEach((sock) => sock.destroy());
+      pending.clear();
+      if (err) {
+        rej(err);
+      } else {
+        res(socket);
+      }
+    };
+
+    const onAbortSignal = () => settle(new RequestAbortedError());
+    if (signal) {
+      signal.addEventListener('abort', onAbortSignal);
+    }
+
+    const nextAttempt = () => {
+      clearTimeout(timer);
+      if (settled) {
+        return;
+      }
+      if (index >= addresses.length) {
+        if (!pending.size) {
+          settle(lastError);
+        }
+        return;
+      }
+      const { address, family } = addresses[index];
+      index += 1;
+      debug(`${host}: connecting to ${address}`);
+      const socket = connect(address, family);
+      pending.add(socket);
+      let connectedAt;
+      socket.once('connect', () => {
+        connectedAt = performance.now();
+      });
+      const onError = (err) => {
+        debug(`${host}: connecting to ${address} failed with: ${err.message}`);
+        pending.delete(socket);
+        socket.destroy();
+        lastError = err;
+        // failed attempt: start the next one right away
+        nextAttempt();
+      };
+      socket.once('error', onError);
+      socket.once(readyEvent, () => {
+        if (settled) {
+          return;
+        }
+        debug(`${host}: connected to ${address}`);
+        socket.off('error', onError);
+        pending.delete(socket);
+        if (timings && readyEvent !== 'connect' && timings.secureConnectionStart === undefined) {
+          // TCP connect of the winning attempt
+          timings.secureConnectionStart = connectedAt;
+        }
+        mark(timings, 'connectEnd');
+        settle(null, socket);
+      });
+      timer = setTimeout(nextAttempt, attemptDelay);
+    };
+    nextAttempt();
+  });
+};
+
+/**
+ * Returns a `createConnection` function for `http.Agent`/`https.Agent` (or the
+ * `createConnection` option of `http.request`) which races connection attempts to the
+ * addresses of the target host (see `happyEyeballs`). Unix domain socket connections
+ * (`socketPath`) are made as usual.
+ *
+ * Besides the standard connect options (`host`, `port`, `lookup`, `family`, `localAddress`,
+ * TLS options etc.) the following request options are supported: `timings` (timing state),
+ * `timeouts` (timeout state, the `connect` timeout applies to every attempt) and `signal`.
+ *
+ * @param {Function} connect `(options) => socket` starts a single connection attempt
+ *        (e.g. `net.connect` or the agent's original `createConnection`)
+ * @param {Object} [options]
+ * @param {boolean} [options.secure=false] `true` if `connect` returns TLS sockets
+ * @param {number} [options.attemptDelay=250] (ms) delay between connection attempts
+ * @returns {Function} `(options, cb) => void|Socket`
+ */
+const eyeballsConnection = (connect, { secure = false, attemptDelay } = {}) => (options, cb) => {
+  const {
+    // eslint-disable-next-line no-unused-vars
+    timings, timeouts, signal, lookup, family, path, ...connectOptions
+  } = options;
+  if (options.socketPath) {
+    return connect({ ...connectOptions, path: options.socketPath });
+  }
+  const { host } = options;
+  // the addresses are connected to, verify the certificate against the host name
+  const servername = connectOptions.servername || (net.isIP(host) ? undefined : host);
+  happyEyeballs(host, {
+    lookup,
+    family,
+    attemptDelay,
+    signal,
+    timings,
+    readyEvent: secure ? 'secureConnect' : 'connect',
+    connect: (address) => {
+      const socket = connect(secure
+        ? { ...connectOptions, host: address, servername }
+        : { ...connectOptions, host: address });
+      const cancelTimeouts = watchConnect(socket, timeouts, (err) => socket.destroy(err));
+      socket.once(secure ? 'secureConnect' : 'connect', cancelTimeouts);
+      socket.once('close', cancelTimeouts);
+      return socket;
+    },
+  }).then((socket) => {
+    if (secure) {
+      recordTlsSession(socket, timings);
+    }
+    cb(null, socket);
+  }, cb);
+  return undefined;
+};
+
+module.exports = { happyEyeballs, eyeballsConnection, interleave };
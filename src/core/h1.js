@@ -15,44 +15,124 @@
 const http = require('http');
 const https = require('https');
 const { Readable } = require('stream');
+const tls = require('tls');
 
 const debug = require('debug')('poly-fetch:h1');
 
+const { connectionInfo } = require('./connection');
+const { channels } = require('./diagnostics');
+const { connectLookup } = require('./dns');
 const { RequestAbortedError } = require('./errors');
-const { decodeStream } = require('../common/utils');
+const { eyeballsConnection } = require('./eyeballs');
+const {
+  cacheKey, isSocksProxy, proxyAuthorization, connectTunnel,
+} = require('./proxy');
+const { startTimer, watchConnect, watchBody } = require('./timeout');
+const {
+  tlsOptions, pinPolicy, verifyPins, pinnedServerIdentity, tlsSessionKey, cachedTlsSession,
+  cacheTlsSessions,
+} = require('./tls');
+const {
+  mark, markReused, recordConnect, recordTlsSession, recordResponseEnd,
+} = require('./timings');
+const { decodeStream, multiValueHeaders } = require('../common/utils');
 
-const getAgent = (ctx, protocol) => {
+// new connections of the agent race the addresses of the host (Happy Eyeballs)
+const createAgent = (ctx, secure, options) => {
+  const agent = secure ? new https.Agent(options) : new http.Agent(options);
+  const connect = agent.createConnection.bind(agent);
+  agent.createConnection = eyeballsConnection(connect, {
+    secure,
+    attemptDelay: ctx.connectAttemptDelay,
+  });
+  return agent;
+};
+
+const getProxyAgent = (ctx, protocol, proxy) => {
+  const { h1, options: { h1: opts = {} } } = ctx;
+  const key = cacheKey(protocol, proxy);
+  if (h1.proxyAgents[key]) {
+    return h1.proxyAgents[key];
+  }
+  let agent;
+  if (protocol === 'https:') {
+    // secure http: tunnel through proxy (CONNECT)
+    agent = new https.Agent(ctx.pins ? { ...opts, maxCachedSessions: 0 } : opts);
+    agent.createConnection = (options, cb) => {
+      // options.timings: timing state of the request which triggered the new connection
+      const { timings } = options;
+      mark(timings, 'domainLookupStart', 'domainLookupEnd', 'connectStart');
+      connectTunnel(proxy, options.host, options.port, {
+        signal: options.signal,
+        timeouts: options.timeouts,
+        rejectUnauthorized: options.rejectUnauthorized,
+        lookup: options.lookup,
+        family: options.family,
+        localAddress: options.localAddress,
+        attemptDelay: ctx.connectAttemptDelay,
+      }).then((socket) => {
+        mark(timings, 'secureConnectionStart');
+        const tlsSocket = tls.connect({ ...options, socket });
+        tlsSocket.once('secureConnect', () => {
+          mark(timings, 'connectEnd');
+          recordTlsSession(tlsSocket, timings);
+        });
+        cb(null, tlsSocket);
+      }, cb);
+    };
+  } else if (isSocksProxy(proxy)) {
+    // plain http through SOCKS proxy
+    agent = new http.Agent(opts);
+    agent.createConnection = (options, cb) => {
+      const { timings } = options;
+      mark(timings, 'domainLookupStart', 'domainLookupEnd', 'connectStart');
+      connectTunnel(proxy, options.host, options.port, {
+        signal: options.signal,
+        timeouts: options.timeouts,
+        lookup: options.lookup,
+        family: options.family,
+        localAddress: options.localAddress,
+        attemptDelay: ctx.connectAttemptDelay,
+      }).then((socket) => {
+        mark(timings, 'connectEnd');
+        cb(null, socket);
+      }, cb);
+    };
+  } else {
+    // plain http: connect to proxy and send requests in absolute-form
+    agent = createAgent(ctx, proxy.protocol === 'https:', opts);
+  }
+  h1.proxyAgents[key] = agent;
+  return agent;
+};
+
+const getAgent = (ctx, protocol, proxy) => {
   // getAgent is synchronous, no need for lock/mutex
   const { h1, options: { h1: opts } } = ctx;
 
+  if (proxy) {
+    return getProxyAgent(ctx, protocol, proxy);
+  }
+
   if (protocol === 'https:') {
     // secure http
-    if (h1.httpsAgent) {
-      return h1.httpsAgent;
+    if (!h1.httpsAgent) {
+      // (the certificate chain of a resumed TLS session can't be verified against pins)
+      h1.httpsAgent = createAgent(ctx, true, ctx.pins ? { ...opts, maxCachedSessions: 0 } : opts);
     }
-    if (opts) {
-      h1.httpsAgent = new https.Agent(opts);
-      return h1.httpsAgent;
-    }
-    // use default (global) agent
-    return undefined;
+    return h1.httpsAgent;
   } else {
     // plain http
-    if (h1.httpAgent) {
-      return h1.httpAgent;
-    }
-    if (opts) {
-      h1.httpAgent = new http.Agent(opts);
-      return h1.httpAgent;
+    if (!h1.httpAgent) {
+      h1.httpAgent = createAgent(ctx, false, opts);
     }
-    // use default (global) agent
-    return undefined;
+    return h1.httpAgent;
   }
 };
 
 const setupContext = (ctx) => {
   // const { options: { h1: opts } } = ctx;
-  ctx.h1 = {};
+  ctx.h1 = { proxyAgents: {} };
   // custom agents will be lazily instantiated
 };
 
@@ -67,17 +147,23 @@ const resetContext = async ({ h1 }) => {
     // eslint-disable-next-line no-param-reassign
     delete h1.httpsAgent;
   }
+  Object.values(h1.proxyAgents).forEach((agent) => agent.destroy());
+  // eslint-disable-next-line no-param-reassign
+  h1.proxyAgents = {};
 };
 
-const createResponse = (incomingMessage, onError) => {
+const createResponse = (incomingMessage, timings, onError) => {
   const {
     statusCode,
     statusMessage,
     httpVersion,
     httpVersionMajor,
     httpVersionMinor,
-    headers, // header names are always lower-cased
+    rawHeaders,
+    socket,
   } = incomingMessage;
+  // header names are always lower-cased, repeated headers are represented as arrays
+  const headers = multiValueHeaders(rawHeaders);
   return {
     statusCode,
     statusText: statusMessage,
@@ -86,19 +172,71 @@ const createResponse = (incomingMessage, onError) => {
     httpVersionMinor,
     headers,
     readable: decodeStream(statusCode, headers, incomingMessage, onError),
+    timings,
+    connection: connectionInfo(socket),
   };
 };
 
 const h1Request = async (ctx, url, options) => {
-  const { request } = url.protocol === 'https:' ? https : http;
-  const agent = getAgent(ctx, url.protocol);
+  const { proxy } = options;
+  const agent = getAgent(ctx, url.protocol, proxy);
   const opts = { ...options, agent };
-  const { socket, body } = opts;
+  // opts.timings, opts.timeouts and opts.signal are passed on to the agent's createConnection
+  const {
+    socket, body, timeouts, timings,
+  } = opts;
+  delete opts.proxy;
+  // custom DNS lookup/static addresses (passed on to the agent's createConnection)
+  const lookup = proxy ? ctx.lookup : connectLookup(ctx, url);
+  if (lookup && !opts.lookup) {
+    opts.lookup = lookup;
+  }
+  // address family and local address of new connections
+  if (ctx.family) {
+    opts.family = ctx.family;
+  }
+  if (ctx.localAddress) {
+    opts.localAddress = ctx.localAddress;
+  }
+  const pins = url.protocol === 'https:' ? pinPolicy(ctx, url) : undefined;
+  const sessionKey = url.protocol === 'https:' ? tlsSessionKey(ctx, url, proxy) : undefined;
+  if (url.protocol === 'https:') {
+    // TLS options of the origin (the agent pools connections per TLS options)
+    Object.assign(opts, tlsOptions(ctx, url));
+    // resume the latest TLS session with the server (e.g. of the ALPN negotiation)
+    const session = !pins && cachedTlsSession(ctx.tlsSessionCache, sessionKey);
+    if (session) {
+      opts.session = session;
+    }
+    if (pins && !pins.reportOnly) {
+      // enforced pins fail the handshake of new connections
+      opts.checkServerIdentity = pinnedServerIdentity(pins);
+    }
+  }
+  let { request } = url.protocol === 'https:' ? https : http;
+  let requestURL = url;
+  if (proxy && url.protocol === 'http:' && !isSocksProxy(proxy)) {
+    // send request in absolute-form to proxy
+    ({ request } = proxy.protocol === 'https:' ? https : http);
+    requestURL = new URL(proxy.href);
+    requestURL.username = '';
+    requestURL.password = '';
+    opts.path = url.href;
+    const authorization = proxyAuthorization(proxy);
+    if (authorization && !opts.headers['proxy-authorization']) {
+      opts.headers = { ...opts.headers, 'proxy-authorization': authorization };
+    }
+  }
   if (socket) {
     // we've got a socket from initial protocol negotiation via ALPN
     delete opts.socket;
     if (!socket.assigned) {
       socket.assigned = true;
+      const publishReuse = () => {
+        if (channels.socketReuse.hasSubscribers) {
+          channels.socketReuse.publish({ origin: url.origin, socket });
+        }
+      };
       // reuse socket for actual request
       if (agent) {
         // if there's an agent we need to override the agent's createConnection
@@ -107,6 +245,7 @@ const h1Request = async (ctx, url, options) => {
             if (property === 'createConnection' && !socket.inUse) {
               return (_connectOptions, cb) => {
                 debug(`agent reusing socket #${socket.id} (${socket.servername})`);
+                publishReuse();
                 socket.inUse = true;
                 cb(null, socket);
               };
@@ -119,6 +258,7 @@ const h1Request = async (ctx, url, options) => {
         // no agent, provide createConnection function in options
         opts.createConnection = (_connectOptions, cb) => {
           debug(`reusing socket #${socket.id} (${socket.servername})`);
+          publishReuse();
           socket.inUse = true;
           cb(null, socket);
         };
@@ -155,21 +295,100 @@ const h1Request = async (ctx, url, options) => {
       signal.addEventListener('abort', onAbortSignal);
     }
 
-    req = request(url, opts);
+    // per-phase timeouts
+    let cancelConnectTimeouts = () => {};
+    let cancelResponseTimeout = () => {};
+    const cancelTimeouts = () => {
+      cancelConnectTimeouts();
+      cancelResponseTimeout();
+    };
+    const onTimeout = (err) => {
+      cancelTimeouts();
+      /* istanbul ignore if */
+      if (req.aborted) {
+        return;
+      }
+      if (signal) {
+        signal.removeEventListener('abort', onAbortSignal);
+      }
+      /* istanbul ignore next */
+      if (socket && !socket.inUse) {
+        // we have no use for the passed socket
+        debug(`discarding redundant socket used for ALPN: #${socket.id} ${socket.servername}`);
+        socket.destroy();
+      }
+      debug(`${opts.method} ${url.href} failed with: ${err.message}`);
+      reject(err);
+      req.abort();
+    };
+
+    req = request(requestURL, opts);
+    req.once('socket', (sock) => {
+      if (url.protocol === 'https:') {
+        cacheTlsSessions(ctx.tlsSessionCache, sessionKey, sock);
+      }
+      // public key pinning of new connections (not verified during the handshake
+      // in report-only mode or if certificate verification is disabled)
+      const onSecureConnect = () => {
+        const err = verifyPins(sock, url.hostname, pins);
+        if (err) {
+          sock.destroy(err);
+        }
+      };
+      const onConnected = () => mark(timings, 'requestStart');
+      if (sock.connecting) {
+        // new connection
+        recordConnect(sock, timings);
+        if (pins) {
+          sock.once('secureConnect', onSecureConnect);
+        }
+        sock.once(sock.encrypted ? 'secureConnect' : 'connect', onConnected);
+      } else if (timings && timings.connectStart === undefined) {
+        // keep-alive socket
+        markReused(timings, url.protocol === 'https:');
+        onConnected();
+      } else if (timings && timings.connectEnd === undefined) {
+        // TLS handshake through proxy tunnel in progress
+        if (pins) {
+          sock.once('secureConnect', onSecureConnect);
+        }
+        sock.once('secureConnect', onConnected);
+      } else {
+        // new connection (Happy Eyeballs), socket from ALPN negotiation or proxy tunnel
+        if (pins) {
+          onSecureConnect();
+        }
+        onConnected();
+      }
+    });
+    if (timeouts) {
+      req.once('socket', (sock) => {
+        cancelConnectTimeouts = watchConnect(sock, timeouts, onTimeout);
+      });
+      req.once('finish', () => {
+        // request has been sent, wait for the response
+        cancelResponseTimeout = startTimer(timeouts, 'response', onTimeout);
+      });
+    }
     req.once('response', (res) => {
+      mark(timings, 'responseStart');
+      cancelTimeouts();
       if (signal) {
         signal.removeEventListener('abort', onAbortSignal);
       }
+      watchBody(res, timeouts);
+      recordResponseEnd(res, timings);
       /* istanbul ignore next */
       if (socket && !socket.inUse) {
         // we have no use for the passed socket
         debug(`discarding redundant socket used for ALPN: #${socket.id} ${socket.servername}`);
         socket.destroy();
       }
-      resolve(createResponse(res, reject));
+      resolve(createResponse(res, timings, reject));
     });
     req.once('error', (err) => {
       // error occured during the request
+      cancelTimeouts();
       /* istanbul ignore else */
       if (signal) {
         signal.removeEventListener('abort', onAbortSignal);
@@ -20,17 +20,63 @@ const {
   // IncomingHttpHeaders,
   // SecureClientSessionOptions,
 } = require('http2');
-const { Readable } = require('stream');
+const { Duplex, Readable } = require('stream');
 
 const debug = require('debug')('poly-fetch:h2');
 
-const { RequestAbortedError } = require('./errors');
-const { decodeStream } = require('../common/utils');
+const { connectionInfo } = require('./connection');
+const { channels } = require('./diagnostics');
+const { resolveOverride } = require('./dns');
+const { RequestAbortedError, RequestRefusedError } = require('./errors');
+const { cacheKey } = require('./proxy');
+const { startTimer, watchBody } = require('./timeout');
+const { mark, markReused, recordResponseEnd } = require('./timings');
+const { decodeStream, multiValueHeaders } = require('../common/utils');
 
-const { NGHTTP2_CANCEL } = constants;
+const { NGHTTP2_CANCEL, NGHTTP2_REFUSED_STREAM } = constants;
 
 const SESSION_IDLE_TIMEOUT = 5 * 60 * 1000; // 5m
 const PUSHED_STREAM_IDLE_TIMEOUT = 5000; // 5s
+const MAX_REPLAYS = 3; // max. # of times a request refused by GOAWAY is re-issued
+
+// node < 14.17 ignores data already buffered on a socket passed to `http2.connect()`
+// (e.g. the server's SETTINGS frame received along with a proxy's handshake reply)
+const [NODE_MAJOR, NODE_MINOR] = process.versions.node.split('.').map((n) => +n);
+const IGNORES_BUFFERED_DATA = NODE_MAJOR < 14 || (NODE_MAJOR === 14 && NODE_MINOR < 17);
+
+/**
+ * Wraps a socket with buffered data in a stream, which http2 consumes through the
+ * streams API (instead of the socket's handle), i.e. including the buffered data.
+ *
+ * @param {net.Socket} socket
+ * @returns {Duplex}
+ */
+const wrapBufferedSocket = (socket) => {
+  const stream = new Duplex({
+    read() {
+      socket.resume();
+    },
+    write(chunk, encoding, cb) {
+      socket.write(chunk, encoding, cb);
+    },
+    final(cb) {
+      socket.end(cb);
+    },
+    destroy(err, cb) {
+      socket.destroy(err);
+      cb(err);
+    },
+  });
+  socket.on('data', (chunk) => {
+    if (!stream.push(chunk)) {
+      socket.pause();
+    }
+  });
+  socket.once('end', () => stream.push(null));
+  socket.once('error', (err) => stream.destroy(err));
+  socket.once('close', () => stream.destroy());
+  return stream;
+};
 
 const setupContext = (ctx) => {
   ctx.h2 = { sessionCache: {} };
@@ -40,6 +86,11 @@ const setupContext = (ctx) => {
 const resetContext = async ({ h2 }) => {
   return Promise.all(Object.values(h2.sessionCache).map(
     (session) => new Promise((resolve) => {
+      if (session.destroyed) {
+        // session has been destroyed by an error, 'close' might not be emitted anymore
+        resolve();
+        return;
+      }
       session.on('close', resolve);
       session.destroy();
     }),
@@ -47,12 +98,21 @@ const resetContext = async ({ h2 }) => {
 };
 
 const createResponse = (
-  headers, clientHttp2Stream, onError = /* istanbul ignore next */ () => {},
+  headers, rawHeaders, clientHttp2Stream, onError = /* istanbul ignore next */ () => {}, timings,
 ) => {
-  const hdrs = { ...headers };
-  const statusCode = hdrs[':status'];
-  delete hdrs[':status'];
+  const statusCode = headers[':status'];
+  let hdrs;
+  /* istanbul ignore else */
+  if (rawHeaders) {
+    // repeated headers are represented as arrays
+    hdrs = multiValueHeaders(rawHeaders);
+  } else {
+    // older node versions: raw headers not available
+    hdrs = { ...headers };
+    delete hdrs[':status'];
+  }
 
+  const { session } = clientHttp2Stream;
   return {
     statusCode,
     statusText: '',
@@ -61,6 +121,8 @@ const createResponse = (
     httpVersionMinor: 0,
     headers: hdrs, // header names are always lower-cased
     readable: decodeStream(statusCode, headers, clientHttp2Stream, onError),
+    timings,
+    connection: session ? connectionInfo(session.socket) : undefined,
   };
 };
 
@@ -86,7 +148,7 @@ const handlePush = (ctx, origin, pushedStream, requestHeaders, flags) => {
     // give handler opportunity to reject the push
     pushPromiseHandler(url, requestHeaders, rejectPush);
   }
-  pushedStream.on('push', (responseHeaders, flgs) => {
+  pushedStream.on('push', (responseHeaders, flgs, rawHeaders) => {
     // received headers for the pushed streamn
     // similar to 'response' event on ClientHttp2Stream
     debug(`received push headers for ${origin}${path}, stream #${pushedStream.id}, headers: ${JSON.stringify(responseHeaders)}, flags: ${flgs}`);
@@ -99,7 +161,7 @@ const handlePush = (ctx, origin, pushedStream, requestHeaders, flags) => {
 
     /* istanbul ignore else */
     if (pushHandler) {
-      pushHandler(url, requestHeaders, createResponse(responseHeaders, pushedStream));
+      pushHandler(url, requestHeaders, createResponse(responseHeaders, rawHeaders, pushedStream));
     }
   });
   // log stream errors
@@ -114,7 +176,7 @@ const handlePush = (ctx, origin, pushedStream, requestHeaders, flags) => {
   });
 };
 
-const request = async (ctx, url, options) => {
+const request = async (ctx, url, options, replays = 0) => {
   const {
     origin, pathname, search, hash,
   } = url;
@@ -138,12 +200,27 @@ const request = async (ctx, url, options) => {
   const {
     method,
     headers,
-    socket,
     body,
+    timeouts,
+    timings,
+    proxy,
+    socketPath,
+    createSocket,
   } = opts;
+  let { socket } = opts;
+  // socket of ALPN negotiation
+  const reused = !!socket;
   if (socket) {
     delete opts.socket;
   }
+  // sessions via different proxies or unix domain sockets are cached separately
+  const key = cacheKey(origin, proxy, resolveOverride(ctx, url), socketPath);
+  const cachedSession = sessionCache[key];
+  if (!socket && createSocket
+    && (!cachedSession || cachedSession.closed || cachedSession.destroyed)) {
+    // new session: connect (Happy Eyeballs) or open tunnel through proxy
+    socket = await createSocket();
+  }
   /* istanbul ignore else */
   if (headers.host) {
     headers[':authority'] = headers.host;
@@ -152,16 +229,25 @@ const request = async (ctx, url, options) => {
 
   return new Promise((resolve, reject) => {
     // lookup session from session cache
-    let session = sessionCache[origin];
+    let session = sessionCache[key];
     if (!session || session.closed || session.destroyed) {
       // connect and setup new session
       // (connect options: https://nodejs.org/api/http2.html#http2_http2_connect_authority_options_listener)
-      const connectOptions = ctxOpts;
+      const connectOptions = { ...ctxOpts };
       /* istanbul ignore else */
       if (socket) {
-        // reuse socket
+        // use socket of ALPN negotiation or newly created socket (see `createSocket`)
         connectOptions.createConnection = (/* url, options */) => {
-          debug(`reusing socket #${socket.id} (${socket.servername})`);
+          if (reused) {
+            debug(`reusing socket #${socket.id} (${socket.servername})`);
+            if (channels.socketReuse.hasSubscribers) {
+              channels.socketReuse.publish({ origin, socket });
+            }
+          }
+          if (IGNORES_BUFFERED_DATA && socket.readableLength) {
+            debug(`socket #${socket.id} has ${socket.readableLength} bytes buffered`);
+            return wrapBufferedSocket(socket);
+          }
           return socket;
         };
       }
@@ -176,7 +262,10 @@ const request = async (ctx, url, options) => {
       session.once('connect', () => {
         debug(`session ${origin} established`);
         debug(`caching session ${origin}`);
-        sessionCache[origin] = session;
+        sessionCache[key] = session;
+        if (channels.sessionConnect.hasSubscribers) {
+          channels.sessionConnect.publish({ origin, session });
+        }
       });
       session.on('localSettings', (settings) => {
         debug(`session ${origin} localSettings: ${JSON.stringify(settings)}`);
@@ -187,37 +276,53 @@ const request = async (ctx, url, options) => {
       session.once('close', () => {
         debug(`session ${origin} closed`);
         /* istanbul ignore else */
-        if (sessionCache[origin] === session) {
+        if (sessionCache[key] === session) {
           debug(`discarding cached session ${origin}`);
-          delete sessionCache[origin];
+          delete sessionCache[key];
+        }
+        if (channels.sessionClose.hasSubscribers) {
+          channels.sessionClose.publish({ origin, session });
         }
       });
       session.once('error', /* istanbul ignore next */ (err) => {
         debug(`session ${origin} encountered error: ${err}`);
-        if (sessionCache[origin] === session) {
+        if (sessionCache[key] === session) {
           // FIXME: redundant because 'close' event will follow?
           debug(`discarding cached session ${origin}`);
-          delete sessionCache[origin];
+          delete sessionCache[key];
         }
       });
       session.on('frameError', /* istanbul ignore next */ (type, code, id) => {
         debug(`session ${origin} encountered frameError: type: ${type}, code: ${code}, id: ${id}`);
       });
-      session.once('goaway', /* istanbul ignore next */ (errorCode, lastStreamID, opaqueData) => {
-        debug(`session ${origin} received GOAWAY frame: errorCode: ${errorCode}, lastStreamID: ${lastStreamID}, opaqueData: ${opaqueData ? opaqueData.toString() : undefined}`);
-        // session will be closed automatically
+      session.once('goaway', (errorCode, lastStreamID, opaqueData) => {
+        debug(`session ${origin} received GOAWAY frame: errorCode: ${errorCode}, lastStreamID: ${lastStreamID}, opaqueData: ${opaqueData ? /* istanbul ignore next */ opaqueData.toString() : undefined}`);
+        // streams with ids > lastStreamID have not been processed by the server
+        // and can safely be re-issued on a new session
+        session.receivedGoaway = { errorCode, lastStreamID };
+        if (channels.sessionGoaway.hasSubscribers) {
+          channels.sessionGoaway.publish({
+            origin, session, errorCode, lastStreamID,
+          });
+        }
+        // session will be closed automatically, don't use it for new requests
+        /* istanbul ignore else */
+        if (sessionCache[key] === session) {
+          debug(`discarding cached session ${origin}`);
+          delete sessionCache[key];
+        }
       });
       session.on('stream', (stream, hdrs, flags) => {
         handlePush(ctx, origin, stream, hdrs, flags);
       });
     } else {
       // we have a cached session
-      // eslint-disable-next-line no-lonely-if
       if (socket && socket.id !== session.socket.id) {
         // we have no use for the passed socket
         debug(`discarding redundant socket used for ALPN: #${socket.id} ${socket.servername}`);
         socket.destroy();
       }
+      markReused(timings, url.protocol === 'https:');
     }
 
     debug(`${method} ${url.host}${path}`);
@@ -225,8 +330,11 @@ const request = async (ctx, url, options) => {
 
     // intercept abort signal in order to cancel request
     const { signal } = opts;
+    // whether the request promise has been settled (or is about to be re-issued)
+    let settled = false;
     const onAbortSignal = () => {
       signal.removeEventListener('abort', onAbortSignal);
+      settled = true;
       reject(new RequestAbortedError());
       /* istanbul ignore else */
       if (req) {
@@ -241,36 +349,122 @@ const request = async (ctx, url, options) => {
       signal.addEventListener('abort', onAbortSignal);
     }
 
+    // checks whether the request has been refused by the server (GOAWAY)
+    const isRefused = () => {
+      if (req && req.rstCode === NGHTTP2_REFUSED_STREAM) {
+        return true;
+      }
+      const { receivedGoaway } = session;
+      return !!receivedGoaway && !(req && req.id <= receivedGoaway.lastStreamID);
+    };
+    let refused = false;
+    const onRefused = () => {
+      /* istanbul ignore if */
+      if (refused) {
+        return;
+      }
+      refused = true;
+      settled = true;
+      if (signal) {
+        signal.removeEventListener('abort', onAbortSignal);
+      }
+      const { errorCode, lastStreamID } = session.receivedGoaway || /* istanbul ignore next */ {};
+      if (!(body instanceof Readable) && replays < MAX_REPLAYS) {
+        debug(`${method} ${url.href} has been refused by ${origin} (GOAWAY), re-issuing request`);
+        resolve(request(ctx, url, opts, replays + 1));
+      } else {
+        debug(`${method} ${url.href} has been refused by ${origin} (GOAWAY)`);
+        reject(new RequestRefusedError(`${method} ${url.href} has been refused by the server (GOAWAY)`, errorCode, lastStreamID));
+      }
+    };
+
     const onSessionError = (err) => {
       debug(`session ${origin} encountered error during ${opts.method} ${url.href}: ${err}`);
-      reject(err);
+      if (isRefused()) {
+        onRefused();
+      } else {
+        settled = true;
+        reject(err);
+      }
     };
     // listen on session errors during request
     session.once('error', onSessionError);
 
     req = session.request({ ':method': method, ':path': path, ...headers });
-    req.once('response', (hdrs) => {
+    if (req.pending) {
+      // session is still connecting
+      req.once('ready', () => mark(timings, 'requestStart'));
+    } else {
+      mark(timings, 'requestStart');
+    }
+    let cancelResponseTimeout = () => {};
+    if (timeouts) {
+      req.once('finish', () => {
+        // request has been sent, wait for the response
+        cancelResponseTimeout = startTimer(timeouts, 'response', (err) => {
+          session.off('error', onSessionError);
+          if (signal) {
+            signal.removeEventListener('abort', onAbortSignal);
+          }
+          debug(`${method} ${url.href} failed with: ${err.message}`);
+          settled = true;
+          reject(err);
+          req.close(NGHTTP2_CANCEL);
+        });
+      });
+    }
+    req.once('response', (hdrs, flags, rawHeaders) => {
+      settled = true;
+      mark(timings, 'responseStart');
+      cancelResponseTimeout();
       session.off('error', onSessionError);
       if (signal) {
         signal.removeEventListener('abort', onAbortSignal);
       }
-      resolve(createResponse(hdrs, req, reject));
+      watchBody(req, timeouts);
+      recordResponseEnd(req, timings);
+      resolve(createResponse(hdrs, rawHeaders, req, reject, timings));
     });
     req.once('error', (err) => {
       // error occured during the request
+      cancelResponseTimeout();
       session.off('error', onSessionError);
       /* istanbul ignore else */
       if (signal) {
         signal.removeEventListener('abort', onAbortSignal);
       }
+      if (isRefused()) {
+        onRefused();
+        return;
+      }
       // if (!req.aborted) {
       /* istanbul ignore else */
       if (req.rstCode !== NGHTTP2_CANCEL) {
         debug(`${opts.method} ${url.href} failed with: ${err.message}`);
         req.close(NGHTTP2_CANCEL); // neccessary?
+        settled = true;
         reject(err);
       }
     });
+    req.once('close', () => {
+      cancelResponseTimeout();
+      if (settled) {
+        return;
+      }
+      // node < 20 closes streams refused after GOAWAY with NGHTTP2_CANCEL,
+      // without emitting 'error' or 'response'
+      session.off('error', onSessionError);
+      if (signal) {
+        signal.removeEventListener('abort', onAbortSignal);
+      }
+      if (isRefused() || session.receivedGoaway) {
+        onRefused();
+        return;
+      }
+      debug(`${method} ${url.href} has been closed without response (rstCode: ${req.rstCode})`);
+      settled = true;
+      reject(new Error(`${method} ${url.href} has been closed without response (HTTP/2 error code ${req.rstCode})`));
+    });
     req.once('frameError', (type, code, id) => {
       session.off('error', onSessionError);
       debug(`encountered frameError during ${opts.method} ${url.href}: type: ${type}, code: ${code}, id: ${id}`);
@@ -17,6 +17,9 @@ const {
   setupContext,
   resetContext,
   RequestAbortedError,
+  RequestRefusedError,
+  RequestTimeoutError,
+  PinMismatchError,
   ALPN_HTTP2,
   ALPN_HTTP2C,
   ALPN_HTTP1_1,
@@ -40,6 +43,10 @@ class RequestContext {
        * the response is available.
        *
        * @throws RequestAbortedError if the request is aborted via an AbortSignal
+       * @throws RequestRefusedError if the request has been refused by the server (GOAWAY)
+       *         and can't be transparently re-issued
+       * @throws RequestTimeoutError if a timeout (`timeout` option) expires
+       * @throws PinMismatchError if public key pinning (`pins` option) fails
        */
       request: async (url, options) => this.request(url, options),
 
@@ -62,6 +69,22 @@ class RequestContext {
        */
       RequestAbortedError,
 
+      /**
+       * Error thrown if an HTTP/2 request has been refused by the server (GOAWAY)
+       * and can't be transparently re-issued.
+       */
+      RequestRefusedError,
+
+      /**
+       * Error thrown if a request timeout expires.
+       */
+      RequestTimeoutError,
+
+      /**
+       * Error thrown if a server's public key doesn't match the pinned keys (`pins` option).
+       */
+      PinMismatchError,
+
       ALPN_HTTP2,
       ALPN_HTTP2C,
       ALPN_HTTP1_1,
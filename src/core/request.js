@@ -12,15 +12,34 @@
 
 'use strict';
 
+const net = require('net');
 const tls = require('tls');
 
 const LRU = require('lru-cache');
 const debug = require('debug')('poly-fetch:core');
 
-const { RequestAbortedError } = require('./errors');
+const { channels } = require('./diagnostics');
+const {
+  createDnsCache, parseResolve, resolveOverride, connectLookup,
+} = require('./dns');
+const {
+  RequestAbortedError, RequestRefusedError, RequestTimeoutError, PinMismatchError,
+} = require('./errors');
+const { happyEyeballs } = require('./eyeballs');
 const h1 = require('./h1');
 const h2 = require('./h2');
 const lock = require('./lock');
+const {
+  parseProxy, proxyFromEnv, cacheKey, connectTunnel,
+} = require('./proxy');
+const { timeouts, startTimer, watchConnect } = require('./timeout');
+const {
+  parseTlsOptions, tlsOptions, parsePins, pinPolicy, verifyPins, pinnedServerIdentity,
+  tlsSessionKey, cachedTlsSession, cacheTlsSessions,
+} = require('./tls');
+const {
+  createTimings, mark, recordConnect, recordTlsSession,
+} = require('./timings');
 const { isPlainObject } = require('../common/utils');
 
 const { version } = require('../../package.json');
@@ -34,6 +53,14 @@ const ALPN_HTTP1_1 = 'http/1.1';
 const ALPN_CACHE_SIZE = 100; // # of entries
 const ALPN_CACHE_TTL = 60 * 60 * 1000; // (ms): 1h
 const ALPN_PROTOCOLS = [ALPN_HTTP2, ALPN_HTTP1_1, ALPN_HTTP1_0];
+const TLS_SESSION_CACHE_SIZE = 100; // # of entries
+const CONNECT_ATTEMPT_DELAY = 250; // (ms) RFC 8305 recommendation
+
+// url protocols addressing a unix domain socket and their transport protocol
+const UNIX_SOCKET_PROTOCOLS = {
+  'http+unix:': 'http:', // HTTP/1.1
+  'http2+unix:': 'http2:', // h2c (prior knowledge)
+};
 
 const DEFAULT_USER_AGENT = `poly-fetch/${version}`;
 
@@ -47,18 +74,15 @@ let socketIdCounter = 0;
 
 const connectionLock = lock();
 
-const connectTLS = (url, options) => new Promise((resolve, reject) => {
+const connectTLS = (url, options, timeoutState, timings) => new Promise((resolve, reject) => {
   // intercept abort signal in order to cancel connect
   const { signal } = options;
-  let socket;
+  const attempts = new Set(); // pending connection attempts
   const onAbortSignal = () => {
     signal.removeEventListener('abort', onAbortSignal);
     const err = new RequestAbortedError();
     reject(err);
-    /* istanbul ignore else */
-    if (socket) {
-      socket.destroy(err);
-    }
+    attempts.forEach((socket) => socket.destroy(err));
   };
   if (signal) {
     if (signal.aborted) {
@@ -70,6 +94,30 @@ const connectTLS = (url, options) => new Promise((resolve, reject) => {
 
   const port = +url.port || 443;
 
+  const onConnected = (socket) => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbortSignal);
+    }
+    // public key pinning (`pins` context option)
+    const err = verifyPins(socket, url.hostname, options.pins);
+    if (err) {
+      socket.destroy();
+      reject(err);
+      return;
+    }
+    socketIdCounter += 1;
+    // eslint-disable-next-line no-param-reassign
+    socket.id = socketIdCounter;
+    // workaround for node >= 12.17.0 regression
+    // (see https://github.com/nodejs/node/pull/34859)
+    // eslint-disable-next-line no-param-reassign
+    socket.secureConnecting = false;
+    recordTlsSession(socket, timings);
+    const resumed = socket.isSessionReused() ? ', resumed TLS session' : '';
+    debug(`established TLS connection: #${socket.id} (${socket.servername})${resumed}`);
+    resolve(socket);
+  };
+
   const onError = (err) => {
     // error occured while connecting
     if (signal) {
@@ -81,44 +129,195 @@ const connectTLS = (url, options) => new Promise((resolve, reject) => {
     }
   };
 
-  socket = tls.connect(port, url.hostname, options);
-  socket.once('secureConnect', () => {
+  // starts a single connection attempt
+  const connectAttempt = (host, connectOptions) => {
+    const socket = tls.connect(port, host, connectOptions);
+    attempts.add(socket);
+    cacheTlsSessions(options.sessionCache, options.sessionKey, socket);
+    const onTimeout = (err) => socket.destroy(err);
+    const cancelTimeouts = connectOptions.socket
+      // TLS handshake over an existing connection (e.g. proxy tunnel)
+      ? startTimer(timeoutState, 'secureConnect', onTimeout)
+      : watchConnect(socket, timeoutState, onTimeout);
+    socket.once('secureConnect', () => {
+      attempts.delete(socket);
+      cancelTimeouts();
+    });
+    socket.once('close', () => {
+      attempts.delete(socket);
+      cancelTimeouts();
+    });
+    return socket;
+  };
+
+  if (options.socket) {
+    const socket = connectAttempt(url.hostname, options);
+    socket.once('secureConnect', () => {
+      mark(timings, 'connectEnd');
+      socket.off('error', onError);
+      onConnected(socket);
+    });
+    socket.once('error', onError);
+    return;
+  }
+
+  // race connection attempts to the host's IPv6 and IPv4 addresses (Happy Eyeballs),
+  // the first socket to complete the TLS handshake wins
+  const { lookup, family, attemptDelay } = options;
+  happyEyeballs(url.hostname, {
+    lookup,
+    family,
+    attemptDelay,
+    signal,
+    timings,
+    readyEvent: 'secureConnect',
+    connect: (address) => connectAttempt(address, options),
+  }).then(onConnected, onError);
+});
+
+const connectTCP = (ctx, url, signal, timeoutState, timings) => {
+  const port = +url.port || 80;
+  const { family, localAddress, connectAttemptDelay: attemptDelay } = ctx;
+  return happyEyeballs(url.hostname, {
+    lookup: connectLookup(ctx, url),
+    family,
+    attemptDelay,
+    signal,
+    timings,
+    connect: (host) => {
+      const socket = net.connect({ port, host, localAddress });
+      const cancelTimeouts = watchConnect(socket, timeoutState, (err) => socket.destroy(err));
+      socket.once('connect', cancelTimeouts);
+      socket.once('close', cancelTimeouts);
+      return socket;
+    },
+  }).then((socket) => {
+    debug(`established TCP connection to ${url.host}`);
+    return socket;
+  }, (err) => {
+    debug(`connecting to ${url.host} failed with: ${err.message}`);
+    throw err;
+  });
+};
+
+const connectUnix = (socketPath, signal, state, timings) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new RequestAbortedError());
+    return;
+  }
+  const socket = net.connect({ path: socketPath });
+  recordConnect(socket, timings);
+  const onAbortSignal = () => socket.destroy(new RequestAbortedError());
+  if (signal) {
+    signal.addEventListener('abort', onAbortSignal);
+  }
+  const cancelTimeouts = watchConnect(socket, state, (err) => socket.destroy(err));
+  const done = () => {
+    cancelTimeouts();
     if (signal) {
       signal.removeEventListener('abort', onAbortSignal);
     }
+  };
+  const onError = (err) => {
+    done();
+    debug(`connecting to ${socketPath} failed with: ${err.message}`);
+    reject(err);
+  };
+  socket.once('connect', () => {
+    done();
     socket.off('error', onError);
-    socketIdCounter += 1;
-    socket.id = socketIdCounter;
-    // workaround for node >= 12.17.0 regression
-    // (see https://github.com/nodejs/node/pull/34859)
-    socket.secureConnecting = false;
-    debug(`established TLS connection: #${socket.id} (${socket.servername})`);
+    debug(`established connection to ${socketPath}`);
     resolve(socket);
   });
   socket.once('error', onError);
 });
 
-const connect = async (url, options) => {
+const connect = async (ctx, url, options, timeoutState, proxy, timings) => {
+  const key = cacheKey(url.origin, proxy, resolveOverride(ctx, url));
   // use mutex to avoid concurrent socket creation to same origin
-  let socket = await connectionLock.acquire(url.origin);
+  let socket = await connectionLock.acquire(key);
   try {
     if (!socket) {
-      socket = await connectTLS(url, options);
+      let tunnel;
+      if (proxy) {
+        // open tunnel through proxy, TLS (and ALPN) is negotiated end-to-end
+        // (host name is resolved by the proxy, the tunnel counts as connect phase)
+        const { signal, rejectUnauthorized } = options;
+        mark(timings, 'domainLookupStart', 'domainLookupEnd', 'connectStart');
+        tunnel = await connectTunnel(proxy, url.hostname, +url.port || 443, {
+          signal,
+          timeouts: timeoutState,
+          rejectUnauthorized,
+          lookup: ctx.lookup,
+          family: ctx.family,
+          localAddress: ctx.localAddress,
+          attemptDelay: ctx.connectAttemptDelay,
+        });
+        mark(timings, 'secureConnectionStart');
+      }
+      const connectOptions = tunnel ? { ...options, socket: tunnel } : options;
+      socket = await connectTLS(url, connectOptions, timeoutState, timings);
     }
     return socket;
   } finally {
-    connectionLock.release(url.origin, socket);
+    connectionLock.release(key, socket);
   }
 };
 
-const determineProtocol = async (ctx, url, signal) => {
+const tlsConnectOptions = (ctx, url, signal, proxy) => {
+  const {
+    options: {
+      rejectUnauthorized: _rejectUnauthorized,
+      h1: h1Opts = {},
+      h2: h2Opts = {},
+    },
+  } = ctx;
+  const rejectUnauthorized = !((_rejectUnauthorized === false
+    || h1Opts.rejectUnauthorized === false
+    || h2Opts.rejectUnauthorized === false));
+  const pins = pinPolicy(ctx, url);
+  const sessionKey = tlsSessionKey(ctx, url, proxy);
+  return {
+    ...tlsOptions(ctx, url), // optional CA, client certificate, ciphers etc.
+    // enable SNI (Server Name Indication) extension (not permitted for ip addresses)
+    servername: net.isIP(url.hostname) ? undefined : url.hostname,
+    ALPNProtocols: ctx.alpnProtocols,
+    signal, // optional abort signal
+    rejectUnauthorized,
+    lookup: connectLookup(ctx, url), // optional custom DNS lookup/static addresses
+    family: ctx.family, // optional: force IPv4 (4) or IPv6 (6)
+    localAddress: ctx.localAddress, // optional: local interface to bind to
+    attemptDelay: ctx.connectAttemptDelay, // Happy Eyeballs connection attempt delay
+    // resume the latest TLS session with the server (if any); the certificate chain
+    // of a resumed session is incomplete, i.e. pinned connections are not resumed
+    session: pins ? undefined : cachedTlsSession(ctx.tlsSessionCache, sessionKey),
+    sessionCache: ctx.tlsSessionCache,
+    sessionKey,
+    pins, // optional public key pinning policy (verified after the handshake)
+    // enforced pins fail the handshake already
+    ...(pins && !pins.reportOnly ? { checkServerIdentity: pinnedServerIdentity(pins) } : {}),
+  };
+};
+
+const determineProtocol = async (ctx, url, proxy, options) => {
+  const {
+    signal, timeouts: timeoutState, timings, socketPath,
+  } = options;
   // url.origin is null if url.protocol is neither 'http:' nor 'https:' ...
-  const origin = `${url.protocol}//${url.host}`;
+  const origin = cacheKey(
+    `${url.protocol}//${url.host}`, proxy, resolveOverride(ctx, url), socketPath,
+  );
   // lookup ALPN cache
   let protocol = ctx.alpnCache.get(origin);
   if (protocol) {
+    if (channels.alpnCacheHit.hasSubscribers) {
+      channels.alpnCacheHit.publish({ origin: `${url.protocol}//${url.host}`, protocol });
+    }
     return { protocol };
   }
+  if (channels.alpnCacheMiss.hasSubscribers) {
+    channels.alpnCacheMiss.publish({ origin: `${url.protocol}//${url.host}` });
+  }
   switch (url.protocol) {
     case 'http:':
       // for simplicity we assume unencrypted HTTP to be HTTP/1.1
@@ -142,23 +341,8 @@ const determineProtocol = async (ctx, url, signal) => {
   }
 
   // negotioate via ALPN
-  const {
-    options: {
-      rejectUnauthorized: _rejectUnauthorized,
-      h1: h1Opts = {},
-      h2: h2Opts = {},
-    },
-  } = ctx;
-  const rejectUnauthorized = !((_rejectUnauthorized === false
-    || h1Opts.rejectUnauthorized === false
-    || h2Opts.rejectUnauthorized === false));
-  const connectOptions = {
-    servername: url.hostname, // enable SNI (Server Name Indication) extension
-    ALPNProtocols: ctx.alpnProtocols,
-    signal, // optional abort signal
-    rejectUnauthorized,
-  };
-  const socket = await connect(url, connectOptions);
+  const connectOptions = tlsConnectOptions(ctx, url, signal, proxy);
+  const socket = await connect(ctx, url, connectOptions, timeoutState, proxy, timings);
   // socket.alpnProtocol contains the negotiated protocol (e.g. 'h2', 'http1.1', 'http1.0')
   protocol = socket.alpnProtocol;
   /* istanbul ignore if */
@@ -178,11 +362,146 @@ const sanitizeHeaders = (headers) => {
   return result;
 };
 
+/**
+ * Publishes the end or the failure of a response body (diagnostics channels).
+ * The body is only observed: adding 'error' listeners would change its behavior
+ * (e.g. unhandled errors, aborted HTTP/1.1 responses only emit errors if there
+ * are listeners).
+ *
+ * @param {Object} req request (diagnostics message)
+ * @param {Object} response core response
+ */
+const observeBody = (req, response) => {
+  const { readable } = response;
+  let settled = false;
+  const { emit } = readable;
+  readable.emit = function emitObserved(event, ...args) {
+    if (event === 'error' && !settled) {
+      settled = true;
+      if (channels.requestError.hasSubscribers) {
+        channels.requestError.publish({ request: req, response, error: args[0] });
+      }
+    }
+    return emit.call(this, event, ...args);
+  };
+  const onEnd = () => {
+    if (!settled) {
+      settled = true;
+      if (channels.requestEnd.hasSubscribers) {
+        channels.requestEnd.publish({ request: req, response });
+      }
+    }
+  };
+  readable.once('end', onEnd);
+  readable.once('close', () => {
+    // node 14: HTTP/2 streams closed by their session right after the last frame
+    // don't emit 'end' (although all data has been read)
+    const state = readable._readableState; // eslint-disable-line no-underscore-dangle
+    if (state && state.ended && state.length === 0) {
+      onEnd();
+    }
+  });
+};
+
+/**
+ * Delegates to the protocol-specific request handler.
+ */
+const send = async (ctx, url, options, proxy) => {
+  const opts = { ...options };
+  const { signal, timings, socketPath } = opts;
+  const { protocol, socket = null } = await determineProtocol(ctx, url, proxy, opts);
+  const via = (proxy && ` (via ${proxy.host})`) || (socketPath && ` (via unix:${socketPath})`) || '';
+  debug(`${url.host} -> ${protocol}${via}`);
+  if (socketPath) {
+    // h2c (prior knowledge) over unix domain socket
+    if (protocol === ALPN_HTTP2C) {
+      opts.createSocket = () => connectUnix(socketPath, signal, opts.timeouts, timings);
+    }
+  } else if (proxy) {
+    opts.proxy = proxy;
+    // new HTTP/2 sessions need a tunnel through the proxy
+    if (protocol === ALPN_HTTP2) {
+      opts.createSocket = () => connect(ctx, url, {
+        ...tlsConnectOptions(ctx, url, signal, proxy),
+        ALPNProtocols: [ALPN_HTTP2],
+      }, opts.timeouts, proxy, timings);
+    } else if (protocol === ALPN_HTTP2C) {
+      const { rejectUnauthorized } = tlsConnectOptions(ctx, url, signal, proxy);
+      opts.createSocket = async () => {
+        mark(timings, 'domainLookupStart', 'domainLookupEnd', 'connectStart');
+        const tunnel = await connectTunnel(proxy, url.hostname, +url.port || 80, {
+          signal,
+          timeouts: opts.timeouts,
+          rejectUnauthorized,
+          lookup: ctx.lookup,
+          family: ctx.family,
+          localAddress: ctx.localAddress,
+          attemptDelay: ctx.connectAttemptDelay,
+        });
+        mark(timings, 'connectEnd');
+        return tunnel;
+      };
+    }
+  } else if (protocol === ALPN_HTTP2) {
+    // new HTTP/2 sessions: race connection attempts (Happy Eyeballs)
+    // (no connection lock: every session needs its own socket)
+    opts.createSocket = () => connectTLS(url, {
+      ...tlsConnectOptions(ctx, url, signal),
+      ALPNProtocols: [ALPN_HTTP2],
+    }, opts.timeouts, timings);
+  } else if (protocol === ALPN_HTTP2C) {
+    opts.createSocket = () => connectTCP(ctx, url, signal, opts.timeouts, timings);
+  }
+  let response;
+  switch (protocol) {
+    case ALPN_HTTP2:
+      response = await h2.request(ctx, url, socket ? { ...opts, socket } : opts);
+      break;
+    case ALPN_HTTP2C:
+      // plain-text HTTP/2 (h2c)
+      // url.protocol = 'http:'; => doesn't work ?!
+      response = await h2.request(
+        ctx,
+        new URL(`http://${url.host}${url.pathname}${url.hash}${url.search}`),
+        socket ? /* istanbul ignore next */ { ...opts, socket } : opts,
+      );
+      break;
+    /* istanbul ignore next */ case ALPN_HTTP1_0:
+    case ALPN_HTTP1_1:
+      response = await h1.request(ctx, url, socket ? { ...opts, socket } : opts);
+      break;
+    /* istanbul ignore next */
+    default:
+      // dead branch: only here to make eslint stop complaining
+      throw new TypeError(`unsupported protocol: ${protocol}`);
+  }
+  // negotiated protocol (e.g. 'h2', 'http/1.1')
+  response.protocol = protocol;
+  return response;
+};
+
 const request = async (ctx, uri, options) => {
-  const url = new URL(uri);
+  const requestURL = new URL(uri);
+  let url = requestURL;
 
   const opts = { ...DEFAULT_OPTIONS, ...(options || {}) };
 
+  // unix domain socket (`socketPath` request option overrides context option)
+  let socketPath = opts.socketPath !== undefined ? opts.socketPath : ctx.socketPath;
+  if (UNIX_SOCKET_PROTOCOLS[url.protocol]) {
+    // e.g. `http+unix://%2Fvar%2Frun%2Fdocker.sock/info`: socket path is the (encoded) host
+    socketPath = decodeURIComponent(url.host);
+    url = new URL(`${UNIX_SOCKET_PROTOCOLS[url.protocol]}//localhost${url.pathname}${url.search}${url.hash}`);
+  }
+  if (socketPath) {
+    if (url.protocol !== 'http:' && url.protocol !== 'http2:') {
+      throw new TypeError(`socketPath is not supported for ${url.protocol} urls`);
+    }
+    opts.socketPath = socketPath;
+  } else {
+    delete opts.socketPath;
+  }
+
   // sanitze method name
   /* istanbul ignore else */
   if (typeof opts.method === 'string') {
@@ -225,35 +544,55 @@ const request = async (ctx, uri, options) => {
     opts.headers['accept-encoding'] = 'gzip,deflate,br';
   }
 
-  // extract optional abort signal
-  const { signal } = opts;
+  // per-phase timeouts (request options override context options)
+  const { timeout: ctxTimeout } = ctx.options;
+  if (ctxTimeout || opts.timeout) {
+    opts.timeouts = timeouts({ ...(ctxTimeout || {}), ...(opts.timeout || {}) });
+  }
+  delete opts.timeout;
 
-  // delegate to protocol-specific request handler
-  const { protocol, socket = null } = await determineProtocol(ctx, url, signal);
-  debug(`${url.host} -> ${protocol}`);
-  switch (protocol) {
-    case ALPN_HTTP2:
-      return h2.request(ctx, url, socket ? { ...opts, socket } : opts);
-    case ALPN_HTTP2C:
-      // plain-text HTTP/2 (h2c)
-      // url.protocol = 'http:'; => doesn't work ?!
-      return h2.request(
-        ctx,
-        new URL(`http://${url.host}${url.pathname}${url.hash}${url.search}`),
-        socket ? /* istanbul ignore next */ { ...opts, socket } : opts,
-      );
-    /* istanbul ignore next */ case ALPN_HTTP1_0:
-    case ALPN_HTTP1_1:
-      return h1.request(ctx, url, socket ? { ...opts, socket } : opts);
-    /* istanbul ignore next */
-    default:
-      // dead branch: only here to make eslint stop complaining
-      throw new TypeError(`unsupported protocol: ${protocol}`);
+  // high-resolution timestamps of the request phases (see `response.timings`)
+  opts.timings = createTimings();
+
+  // forward proxy (`proxy` request option overrides context option), not used for unix sockets
+  let proxy = null;
+  if (!socketPath) {
+    proxy = opts.proxy !== undefined ? parseProxy(opts.proxy) : ctx.resolveProxy(url);
+  }
+  delete opts.proxy;
+
+  const req = { url: requestURL.href, method: opts.method, headers: { ...opts.headers } };
+  if (channels.requestStart.hasSubscribers) {
+    channels.requestStart.publish({ request: req });
+  }
+  let response;
+  try {
+    response = await send(ctx, url, opts, proxy);
+  } catch (err) {
+    if (channels.requestError.hasSubscribers) {
+      channels.requestError.publish({ request: req, error: err });
+    }
+    throw err;
   }
+  // headers actually sent (including defaults, e.g. `user-agent`)
+  response.requestHeaders = req.headers;
+  if (channels.requestHeaders.hasSubscribers) {
+    channels.requestHeaders.publish({ request: req, response });
+  }
+  if (channels.requestEnd.hasSubscribers || channels.requestError.hasSubscribers) {
+    observeBody(req, response);
+  }
+  return response;
 };
 
 const resetContext = async (ctx) => {
   ctx.alpnCache.reset();
+  if (ctx.tlsSessionCache) {
+    ctx.tlsSessionCache.reset();
+  }
+  if (ctx.dnsCache) {
+    ctx.dnsCache.clear();
+  }
   return Promise.all([
     h1.resetContext(ctx),
     h2.resetContext(ctx),
@@ -266,15 +605,63 @@ const setupContext = (ctx) => {
       alpnProtocols = ALPN_PROTOCOLS,
       alpnCacheTTL = ALPN_CACHE_TTL,
       alpnCacheSize = ALPN_CACHE_SIZE,
+      tlsSessionCacheSize = TLS_SESSION_CACHE_SIZE,
       userAgent = DEFAULT_USER_AGENT,
+      proxy,
+      lookup,
+      dnsCache,
+      resolve,
+      family,
+      localAddress,
+      connectAttemptDelay = CONNECT_ATTEMPT_DELAY,
+      socketPath,
+      tls: tlsOpts,
+      pins,
     },
   } = ctx;
 
   ctx.alpnProtocols = alpnProtocols;
   ctx.alpnCache = new LRU({ max: alpnCacheSize, maxAge: alpnCacheTTL });
+  // TLS sessions (session tickets) for resuming connections (`0` disables resumption)
+  ctx.tlsSessionCache = tlsSessionCacheSize > 0 ? new LRU({ max: tlsSessionCacheSize }) : undefined;
 
   ctx.userAgent = userAgent;
 
+  // custom DNS lookup function and/or in-process DNS cache
+  if (dnsCache) {
+    ctx.dnsCache = createDnsCache({ ...(dnsCache === true ? {} : dnsCache), lookup });
+    ctx.lookup = ctx.dnsCache;
+  } else {
+    ctx.lookup = lookup;
+  }
+  // static host resolution overrides (`host:port` -> addresses)
+  ctx.resolve = parseResolve(resolve);
+
+  // address family and local address of outgoing connections
+  if (family !== undefined && family !== 4 && family !== 6) {
+    throw new TypeError(`invalid family: ${family} (expected 4 or 6)`);
+  }
+  ctx.family = family;
+  ctx.localAddress = localAddress;
+  // delay between staggered connection attempts (Happy Eyeballs)
+  ctx.connectAttemptDelay = connectAttemptDelay;
+
+  // unix domain socket all requests are sent to (e.g. `/var/run/docker.sock`)
+  ctx.socketPath = socketPath;
+
+  // TLS options (CA, client certificate etc.) per context and per origin pattern
+  ctx.tlsOptions = parseTlsOptions(tlsOpts);
+  // public key pinning per host name pattern
+  ctx.pins = parsePins(pins);
+
+  if (proxy === 'env') {
+    // resolve proxy per origin from HTTP_PROXY, HTTPS_PROXY, ALL_PROXY and NO_PROXY
+    ctx.resolveProxy = proxyFromEnv(process.env);
+  } else {
+    const proxyURL = parseProxy(proxy);
+    ctx.resolveProxy = () => proxyURL;
+  }
+
   h1.setupContext(ctx);
   h2.setupContext(ctx);
 };
@@ -284,6 +671,9 @@ module.exports = {
   setupContext,
   resetContext,
   RequestAbortedError,
+  RequestRefusedError,
+  RequestTimeoutError,
+  PinMismatchError,
   ALPN_HTTP2,
   ALPN_HTTP2C,
   ALPN_HTTP1_1,
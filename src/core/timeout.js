@@ -0,0 +1,149 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { RequestTimeoutError } = require('./errors');
+
+const NOOP = () => {};
+
+/**
+ * Creates the timeout state of a single request.
+ *
+ * @param {Object} [options={}] per-phase timeouts (ms)
+ * @param {number} [options.connect] establishing the TCP connection
+ * @param {number} [options.secureConnect] TLS handshake
+ * @param {number} [options.response] waiting for the response headers once the request is sent
+ * @param {number} [options.idle] inactivity while receiving the response body
+ * @param {number} [options.total] entire request, including receiving the response body
+ * @param {number} [options.totalConfigured] (internal) configured `total` timeout reported
+ *        in errors, if `total` is the time remaining of a longer operation (e.g. `fetch()`)
+ * @returns {Object} timeout state to be passed to `startTimer`, `watchConnect` and `watchBody`
+ */
+const timeouts = (options = {}) => ({
+  options,
+  deadline: typeof options.total === 'number' ? Date.now() + options.total : undefined,
+});
+
+/**
+ * Starts a timer for the given phase. The timer expires either after the
+ * phase-specific timeout or once the `total` timeout is exceeded, whichever comes first.
+ *
+ * @param {Object} [state] timeout state (see `timeouts`)
+ * @param {string} phase
+ * @param {Function} onTimeout called with a `RequestTimeoutError`
+ * @returns {Function} cancels the timer
+ */
+const startTimer = (state, phase, onTimeout) => {
+  if (!state) {
+    return NOOP;
+  }
+  const { options, deadline } = state;
+  let ms = options[phase];
+  let expiredPhase = phase;
+  if (deadline !== undefined) {
+    const remaining = Math.max(0, deadline - Date.now());
+    if (typeof ms !== 'number' || remaining < ms) {
+      ms = remaining;
+      expiredPhase = 'total';
+    }
+  }
+  if (typeof ms !== 'number') {
+    return NOOP;
+  }
+  const timer = setTimeout(() => {
+    const configured = expiredPhase === 'total' && options.totalConfigured !== undefined
+      ? options.totalConfigured
+      : options[expiredPhase];
+    const msg = `${expiredPhase} timeout of ${configured} ms exceeded`;
+    onTimeout(new RequestTimeoutError(msg, expiredPhase));
+  }, ms);
+  return () => clearTimeout(timer);
+};
+
+/**
+ * Applies the `connect` and `secureConnect` timeouts to a socket which is connecting.
+ *
+ * @param {net.Socket|tls.TLSSocket} socket
+ * @param {Object} [state] timeout state (see `timeouts`)
+ * @param {Function} onTimeout called with a `RequestTimeoutError`
+ * @returns {Function} cancels the timers
+ */
+const watchConnect = (socket, state, onTimeout) => {
+  let cancel = NOOP;
+  const secure = !!socket.encrypted;
+  const onSecureConnect = () => cancel();
+  const onConnect = () => {
+    cancel();
+    if (secure) {
+      cancel = startTimer(state, 'secureConnect', onTimeout);
+      socket.once('secureConnect', onSecureConnect);
+    }
+  };
+  if (socket.connecting) {
+    cancel = startTimer(state, 'connect', onTimeout);
+    socket.once('connect', onConnect);
+  }
+  return () => {
+    cancel();
+    socket.off('connect', onConnect);
+    socket.off('secureConnect', onSecureConnect);
+  };
+};
+
+/**
+ * Applies the `idle` and the remaining `total` timeout to a response body stream
+ * (`http.IncomingMessage` or `ClientHttp2Stream`). The stream is destroyed with a
+ * `RequestTimeoutError` if a timeout expires before the body has been received.
+ *
+ * @param {Readable} stream
+ * @param {Object} [state] timeout state (see `timeouts`)
+ */
+const watchBody = (stream, state) => {
+  if (!state) {
+    return;
+  }
+  const onTimeout = (err) => {
+    // fail the stream before destroying it: older node versions don't emit the error
+    // passed to `destroy()` (HTTP/1.1: 'aborted') or end the stream first (HTTP/2)
+    stream.emit('error', err);
+    stream.destroy();
+  };
+  const cancel = startTimer(state, 'total', onTimeout);
+  const { idle } = state.options;
+  // HTTP/1.1: inactivity of the socket (node < 14 doesn't emit 'timeout' on the response)
+  const target = stream.socket || stream;
+  let onIdle;
+  if (typeof idle === 'number') {
+    onIdle = () => onTimeout(new RequestTimeoutError(`idle timeout of ${idle} ms exceeded`, 'idle'));
+    target.setTimeout(idle);
+    target.once('timeout', onIdle);
+  }
+  const done = () => {
+    cancel();
+    if (onIdle) {
+      target.off('timeout', onIdle);
+      if (target !== stream || stream.session) {
+        target.setTimeout(0);
+      }
+    }
+  };
+  stream.once('end', done);
+  stream.once('close', done);
+};
+
+module.exports = {
+  timeouts,
+  startTimer,
+  watchConnect,
+  watchBody,
+};
@@ -0,0 +1,145 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { performance } = require('perf_hooks');
+
+const CONNECT_PHASES = ['domainLookupStart', 'domainLookupEnd', 'connectStart', 'connectEnd'];
+
+/**
+ * Creates the timing state of a single request.
+ *
+ * All timestamps are high-resolution milliseconds as returned by `performance.now()`
+ * (i.e. relative to `performance.timeOrigin`), similar to PerformanceResourceTiming.
+ * Timestamps are `undefined` until the corresponding phase has been reached.
+ *
+ * @see https://www.w3.org/TR/resource-timing-2/#sec-performanceresourcetiming
+ *
+ * @returns {Object} timing state to be passed to `mark`, `recordConnect` etc.
+ */
+const createTimings = () => ({
+  startTime: performance.now(),
+  domainLookupStart: undefined,
+  domainLookupEnd: undefined,
+  connectStart: undefined,
+  secureConnectionStart: undefined,
+  connectEnd: undefined,
+  requestStart: undefined,
+  responseStart: undefined,
+  responseEnd: undefined,
+  reusedConnection: false,
+  tlsSessionReused: false,
+});
+
+/**
+ * Records the current time for the given phases (unless already recorded).
+ *
+ * @param {Object} [timings] timing state (see `createTimings`)
+ * @param {...string} phases e.g. `'requestStart'`
+ */
+const mark = (timings, ...phases) => {
+  if (!timings) {
+    return;
+  }
+  const now = performance.now();
+  phases.forEach((phase) => {
+    if (timings[phase] === undefined) {
+      // eslint-disable-next-line no-param-reassign
+      timings[phase] = now;
+    }
+  });
+};
+
+/**
+ * Records a reused connection (cached HTTP/2 session, keep-alive socket):
+ * the connect phases are reported as zero-cost.
+ *
+ * @param {Object} [timings] timing state (see `createTimings`)
+ * @param {boolean} [secure=false] true if the connection is encrypted
+ */
+const markReused = (timings, secure = false) => {
+  if (!timings || timings.connectStart !== undefined) {
+    // connection has been (or is being) established during this request
+    // (e.g. for ALPN negotiation or through a proxy tunnel)
+    return;
+  }
+  // eslint-disable-next-line no-param-reassign
+  timings.reusedConnection = true;
+  mark(timings, ...CONNECT_PHASES, ...(secure ? ['secureConnectionStart'] : []));
+};
+
+/**
+ * Records whether the TLS handshake of a connected socket has resumed a previous session.
+ *
+ * @param {tls.TLSSocket} socket socket which has emitted `secureConnect`
+ * @param {Object} [timings] timing state (see `createTimings`)
+ */
+const recordTlsSession = (socket, timings) => {
+  if (timings) {
+    // eslint-disable-next-line no-param-reassign
+    timings.tlsSessionReused = socket.isSessionReused();
+  }
+};
+
+/**
+ * Records the DNS lookup, TCP connect and TLS handshake phases of a socket which is connecting.
+ *
+ * @param {net.Socket|tls.TLSSocket} socket
+ * @param {Object} [timings] timing state (see `createTimings`)
+ */
+const recordConnect = (socket, timings) => {
+  if (!timings || !socket.connecting) {
+    return;
+  }
+  const secure = !!socket.encrypted;
+  mark(timings, 'domainLookupStart');
+  socket.once('lookup', () => mark(timings, 'domainLookupEnd', 'connectStart'));
+  socket.once('connect', () => {
+    if (timings.domainLookupEnd === undefined) {
+      // no 'lookup' event: host is an ip address
+      Object.assign(timings, {
+        domainLookupEnd: timings.domainLookupStart,
+        connectStart: timings.domainLookupStart,
+      });
+    }
+    mark(timings, secure ? 'secureConnectionStart' : 'connectEnd');
+  });
+  if (secure) {
+    socket.once('secureConnect', () => {
+      mark(timings, 'connectEnd');
+      recordTlsSession(socket, timings);
+    });
+  }
+};
+
+/**
+ * Records the end of a response body stream.
+ *
+ * @param {Readable} stream
+ * @param {Object} [timings] timing state (see `createTimings`)
+ */
+const recordResponseEnd = (stream, timings) => {
+  if (!timings) {
+    return;
+  }
+  stream.once('end', () => mark(timings, 'responseEnd'));
+};
+
+module.exports = {
+  createTimings,
+  mark,
+  markReused,
+  recordConnect,
+  recordTlsSession,
+  recordResponseEnd,
+};
@@ -0,0 +1,325 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const tls = require('tls');
+
+const debug = require('debug')('poly-fetch:tls');
+
+const { channels } = require('./diagnostics');
+const { resolveOverride } = require('./dns');
+const { PinMismatchError } = require('./errors');
+const { cacheKey } = require('./proxy');
+
+// base64 encoded SHA-256 hash of a DER encoded SubjectPublicKeyInfo
+// (same format as e.g. curl's --pinnedpubkey)
+const PIN_PATTERN = /^sha256\/[A-Za-z0-9+/]{43}=$/;
+
+// TLS options which can be set per context and per origin pattern
+// (see https://nodejs.org/api/tls.html#tls_tls_createsecurecontext_options)
+const TLS_OPTIONS = ['ca', 'cert', 'key', 'pfx', 'passphrase', 'ciphers', 'minVersion', 'maxVersion'];
+
+const pick = (options, name) => {
+  const result = {};
+  Object.entries(options).forEach(([option, value]) => {
+    if (!TLS_OPTIONS.includes(option)) {
+      throw new TypeError(`unsupported TLS option in ${name}: ${option} (expected one of ${TLS_OPTIONS.join(', ')})`);
+    }
+    if (value !== undefined) {
+      result[option] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * Parses an origin pattern into a matcher function.
+ *
+ * Supported patterns: `[scheme://][*.]host[:port]`, e.g. `https://api.example.com:8443`,
+ * `*.internal.example.com` (any subdomain of `internal.example.com`) or `localhost`.
+ * Omitted scheme or port match any scheme or port.
+ *
+ * @param {string} pattern
+ * @returns {Function} `(url) => boolean`
+ * @throws {TypeError} if the pattern is invalid
+ */
+const parseOriginPattern = (pattern) => {
+  const match = /^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*\.)?(\[[0-9a-f:.]+\]|[a-z0-9_.-]+)(?::(\d+))?\/?$/.exec(pattern.toLowerCase());
+  if (!match) {
+    throw new TypeError(`invalid origin pattern: ${pattern} (expected e.g. 'https://*.example.com:8443')`);
+  }
+  const [, scheme, wildcard, host, port] = match;
+  return (url) => {
+    const hostname = url.hostname.toLowerCase();
+    if (scheme && url.protocol !== `${scheme}:`) {
+      return false;
+    }
+    if (port && +port !== (+url.port || (url.protocol === 'https:' ? 443 : 80))) {
+      return false;
+    }
+    return wildcard ? hostname.endsWith(`.${host}`) : hostname === host;
+  };
+};
+
+/**
+ * Parses the `tls` context option.
+ *
+ * @param {Object} [options] TLS options (`ca`, `cert`, `key`, `pfx`, `passphrase`, `ciphers`,
+ *        `minVersion`, `maxVersion`) and optional per-origin overrides
+ *        (`origins: { 'https://*.example.com': { cert, key } }`)
+ * @returns {Function|undefined} `(url) => options` returning the TLS options of an origin
+ *          (the same object for origins matching the same patterns)
+ * @throws {TypeError} if an option or origin pattern is invalid
+ */
+const parseTlsOptions = (options) => {
+  if (!options) {
+    return undefined;
+  }
+  const { origins = {}, ...defaults } = options;
+  const base = pick(defaults, 'tls');
+  const overrides = Object.entries(origins).map(([pattern, originOptions]) => ({
+    pattern,
+    matches: parseOriginPattern(pattern),
+    originOptions: pick(originOptions || {}, `tls.origins['${pattern}']`),
+  }));
+  // origins with the same matching patterns share the same options object
+  const merged = new Map();
+  return (url) => {
+    const matching = overrides.filter(({ matches }) => matches(url));
+    const key = matching.map(({ pattern }) => pattern).join('\n');
+    if (!merged.has(key)) {
+      merged.set(key, matching.reduce(
+        (result, { originOptions }) => ({ ...result, ...originOptions }),
+        base,
+      ));
+    }
+    matching.forEach(({ pattern }) => debug(`${url.host}: applying TLS options of ${pattern}`));
+    return merged.get(key);
+  };
+};
+
+/**
+ * Returns the TLS options (`tls` context option) to be used for connecting to a url's origin.
+ *
+ * @param {Object} ctx context
+ * @param {URL} url
+ * @returns {Object}
+ */
+const tlsOptions = (ctx, url) => (ctx.tlsOptions ? ctx.tlsOptions(url) : {});
+
+/**
+ * Parses the `pins` context option (public key pinning).
+ *
+ * @param {Object} [pins] pinned public key hashes per host name pattern (see
+ *        `parseOriginPattern`), either `['sha256/<base64>', ...]` or
+ *        `{ pins: ['sha256/<base64>', ...], reportOnly: true }`
+ * @returns {Function|undefined} `(url) => policy` returning the pinning policy
+ *          (`{ pattern, pins, reportOnly }`) of the first matching pattern
+ * @throws {TypeError} if a pattern or pin is invalid
+ */
+const parsePins = (pins) => {
+  if (!pins) {
+    return undefined;
+  }
+  const policies = Object.entries(pins).map(([pattern, value]) => {
+    const policy = Array.isArray(value) ? { pins: value } : value || {};
+    const { pins: hashes, reportOnly = false } = policy;
+    const valid = Array.isArray(hashes) && hashes.length > 0
+      && hashes.every((pin) => PIN_PATTERN.test(pin));
+    if (!valid) {
+      throw new TypeError(`invalid pins for ${pattern} (expected 'sha256/<base64>' key hashes)`);
+    }
+    return {
+      pattern, matches: parseOriginPattern(pattern), pins: hashes, reportOnly: !!reportOnly,
+    };
+  });
+  return (url) => policies.find(({ matches }) => matches(url));
+};
+
+/**
+ * Returns the pinning policy (`pins` context option) of a url's host.
+ *
+ * @param {Object} ctx context
+ * @param {URL} url
+ * @returns {Object|undefined} `{ pattern, pins, reportOnly }`
+ */
+const pinPolicy = (ctx, url) => (ctx.pins ? ctx.pins(url) : undefined);
+
+/**
+ * Returns the certificate chain of a peer certificate, starting with the leaf certificate.
+ *
+ * @param {Object} cert peer certificate (`socket.getPeerCertificate(true)`)
+ * @returns {Object[]}
+ */
+const certificateChain = (cert) => {
+  const chain = [];
+  let current = cert;
+  // (the issuer of a self-signed certificate is the certificate itself)
+  while (current && current.raw && !chain.includes(current)) {
+    chain.push(current);
+    current = current.issuerCertificate;
+  }
+  return chain;
+};
+
+/**
+ * Returns the public key hash (`sha256/<base64>`) of a certificate.
+ *
+ * @param {Object} cert certificate (see `socket.getPeerCertificate()`)
+ * @returns {string}
+ */
+const spkiHash = (cert) => `sha256/${crypto.createHash('sha256').update(cert.pubkey).digest('base64')}`;
+
+/**
+ * Returns the public key hashes (`sha256/<base64>`) of a certificate chain.
+ *
+ * @param {Object} cert peer certificate (`socket.getPeerCertificate(true)`)
+ * @returns {string[]}
+ */
+const spkiHashes = (cert) => certificateChain(cert).filter(({ pubkey }) => pubkey).map(spkiHash);
+
+/**
+ * Checks the public keys of a certificate chain against a pinning policy.
+ * In report-only mode mismatches are only reported (debug log, `tls:pin-mismatch`
+ * diagnostics channel).
+ *
+ * @param {Object} cert peer certificate (`socket.getPeerCertificate(true)`)
+ * @param {string} host server host name
+ * @param {Object} [policy] pinning policy (see `pinPolicy`)
+ * @returns {PinMismatchError|undefined} error if the policy is violated and enforced
+ */
+const checkPins = (cert, host, policy) => {
+  if (!policy) {
+    return undefined;
+  }
+  const { pins, reportOnly } = policy;
+  const spki = spkiHashes(cert);
+  if (spki.some((hash) => pins.includes(hash))) {
+    return undefined;
+  }
+  debug(`${host}: public key pinning ${reportOnly ? 'violation (report only)' : 'failed'}: ${spki.join(', ')}`);
+  if (channels.pinMismatch.hasSubscribers) {
+    channels.pinMismatch.publish({
+      host, pins, spki, reportOnly,
+    });
+  }
+  if (reportOnly) {
+    return undefined;
+  }
+  const msg = `public key pinning failed for ${host}: no pinned public key in certificate chain`;
+  return new PinMismatchError(msg, host, pins, spki);
+};
+
+/**
+ * Verifies the certificate chain of a connected TLS socket against a pinning policy.
+ * A socket is checked only once (keep-alive sockets and HTTP/2 sessions are reused),
+ * whatever the outcome.
+ *
+ * @param {tls.TLSSocket} socket socket which has emitted `secureConnect`
+ * @param {string} host server host name
+ * @param {Object} [policy] pinning policy (see `pinPolicy`)
+ * @returns {PinMismatchError|undefined} error if the policy is violated and enforced
+ */
+const verifyPins = (socket, host, policy) => {
+  if (!policy || socket.pinsChecked) {
+    return undefined;
+  }
+  // eslint-disable-next-line no-param-reassign
+  socket.pinsChecked = true;
+  return checkPins(socket.getPeerCertificate(true), host, policy);
+};
+
+/**
+ * Returns a `checkServerIdentity` function which enforces a pinning policy during
+ * the TLS handshake (i.e. before any request data is sent over the connection).
+ *
+ * @param {Object} policy pinning policy (see `pinPolicy`)
+ * @returns {Function} `(host, cert) => Error|undefined`
+ */
+const pinnedServerIdentity = (policy) => (
+  (host, cert) => tls.checkServerIdentity(host, cert) || checkPins(cert, host, policy)
+);
+
+// ids of the distinct TLS options of a context (see `parseTlsOptions`)
+const tlsOptionsIds = new WeakMap();
+let tlsOptionsIdCounter = 0;
+
+/**
+ * Returns the TLS session cache key of a url's server: a session is only resumed
+ * via the same route (proxy, `resolve` override) and with the same TLS options
+ * (CA, client certificate etc.) of the origin.
+ *
+ * @param {Object} ctx context
+ * @param {URL} url
+ * @param {URL} [proxy]
+ * @returns {string}
+ */
+const tlsSessionKey = (ctx, url, proxy) => {
+  const key = cacheKey(`${url.hostname}:${+url.port || 443}`, proxy, resolveOverride(ctx, url));
+  if (!ctx.tlsOptions) {
+    return key;
+  }
+  const options = ctx.tlsOptions(url);
+  if (!tlsOptionsIds.has(options)) {
+    tlsOptionsIdCounter += 1;
+    tlsOptionsIds.set(options, tlsOptionsIdCounter);
+  }
+  return `${key} (TLS options #${tlsOptionsIds.get(options)})`;
+};
+
+/**
+ * Returns the cached TLS session of a server, to be passed as `session`
+ * option to `tls.connect` in order to resume the session.
+ *
+ * @param {LRU} [cache] TLS session cache of the context
+ * @param {string} key session cache key (see `tlsSessionKey`)
+ * @returns {Buffer|undefined}
+ */
+const cachedTlsSession = (cache, key) => (cache ? cache.get(key) : undefined);
+
+/**
+ * Caches the TLS sessions (session tickets) received on a socket,
+ * subsequent connections to the same server resume the latest session.
+ *
+ * @param {LRU} [cache] TLS session cache of the context
+ * @param {string} key session cache key (see `tlsSessionKey`)
+ * @param {tls.TLSSocket} socket
+ */
+const cacheTlsSessions = (cache, key, socket) => {
+  if (!cache || socket.tlsSessionsCached) {
+    return;
+  }
+  // eslint-disable-next-line no-param-reassign
+  socket.tlsSessionsCached = true;
+  socket.on('session', (session) => {
+    debug(`${key}: caching TLS session`);
+    cache.set(key, session);
+  });
+};
+
+module.exports = {
+  parseOriginPattern,
+  parseTlsOptions,
+  tlsOptions,
+  parsePins,
+  pinPolicy,
+  certificateChain,
+  spkiHash,
+  spkiHashes,
+  verifyPins,
+  pinnedServerIdentity,
+  tlsSessionKey,
+  cachedTlsSession,
+  cacheTlsSessions,
+};
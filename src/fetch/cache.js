@@ -0,0 +1,525 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { PassThrough, Transform, pipeline } = require('stream');
+
+const debug = require('debug')('poly-fetch:cache');
+
+const { FetchError } = require('./errors');
+const { MemoryCacheStorage } = require('./storage');
+const { joinValues } = require('../common/utils');
+
+// cache option defaults
+const HEURISTIC_FRACTION = 0.1; // 10% of the time since last modification
+const MAX_ENTRY_SIZE = 1024 * 1024; // (bytes) 1 MB
+
+// https://tools.ietf.org/html/rfc7231#section-6.1
+const CACHEABLE_STATUS_CODES = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+// https://tools.ietf.org/html/rfc7234#section-4.2.2
+const HEURISTICALLY_CACHEABLE_STATUS_CODES = [200, 203, 204, 300, 301, 404, 405, 410, 414, 501];
+
+const CONDITIONAL_REQUEST_HEADERS = ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since', 'if-range'];
+
+// headers which must not be updated from a 304 response
+// (see https://tools.ietf.org/html/rfc7234#section-4.3.4)
+const EXCLUDED_UPDATE_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding', 'content-range'];
+
+/**
+ * Parses a `Cache-Control` header value.
+ *
+ * @param {string|string[]} [value] header value
+ * @returns {Object} directives (names are lower-cased, valueless directives are `true`)
+ */
+const parseCacheControl = (value) => {
+  const directives = {};
+  if (!value) {
+    return directives;
+  }
+  const str = Array.isArray(value) ? value.join(',') : String(value);
+  str.split(',').forEach((directive) => {
+    const [name, ...rest] = directive.split('=');
+    const nm = name.trim().toLowerCase();
+    if (!nm) {
+      return;
+    }
+    const val = rest.join('=').trim().replace(/^"(.*)"$/, '$1');
+    directives[nm] = rest.length ? val : true;
+  });
+  return directives;
+};
+
+/**
+ * Parses a delta-seconds directive value.
+ *
+ * @param {string|boolean} value
+ * @returns {number|undefined} number of seconds or undefined if the value is invalid
+ */
+const parseSeconds = (value) => {
+  if (!/^\d+$/.test(value)) {
+    return undefined;
+  }
+  return +value;
+};
+
+/**
+ * Parses an HTTP-date header value.
+ *
+ * @param {string} [value]
+ * @returns {number|undefined} ms since epoch or undefined if the value is invalid
+ */
+const parseDate = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const ts = Date.parse(value);
+  return Number.isNaN(ts) ? undefined : ts;
+};
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Parses a `Vary` header value.
+ *
+ * @param {string|string[]} [value] header value
+ * @returns {string[]} lower-cased header names (or `'*'`)
+ */
+const parseVary = (value) => (joinValues(value) || '')
+  .split(',')
+  .map((nm) => nm.trim().toLowerCase())
+  .filter((nm) => nm);
+
+/**
+ * Returns the freshness lifetime (in ms) of a stored response.
+ *
+ * @see https://tools.ietf.org/html/rfc7234#section-4.2.1
+ *
+ * @param {Object} entry cache entry metadata
+ * @param {number} heuristicFraction
+ * @returns {number}
+ */
+const freshnessLifetime = ({ statusCode, headers, responseTime }, heuristicFraction) => {
+  const cc = parseCacheControl(headers['cache-control']);
+  // private cache: s-maxage is ignored
+  const maxAge = parseSeconds(cc['max-age']);
+  if (maxAge !== undefined) {
+    return maxAge * 1000;
+  }
+  const date = parseDate(firstValue(headers.date)) || responseTime;
+  if (headers.expires !== undefined) {
+    const expires = parseDate(firstValue(headers.expires));
+    // invalid dates (e.g. '0') represent a time in the past
+    return expires === undefined ? 0 : Math.max(0, expires - date);
+  }
+  // heuristic freshness (https://tools.ietf.org/html/rfc7234#section-4.2.2)
+  const lastModified = parseDate(firstValue(headers['last-modified']));
+  if (lastModified !== undefined
+    && HEURISTICALLY_CACHEABLE_STATUS_CODES.includes(statusCode)
+    && lastModified < date) {
+    return Math.floor((date - lastModified) * heuristicFraction);
+  }
+  return 0;
+};
+
+/**
+ * Returns the current age (in ms) of a stored response.
+ *
+ * @see https://tools.ietf.org/html/rfc7234#section-4.2.3
+ *
+ * @param {Object} entry cache entry metadata
+ * @param {number} [now=Date.now()]
+ * @returns {number}
+ */
+const currentAge = ({ headers, requestTime, responseTime }, now = Date.now()) => {
+  const date = parseDate(firstValue(headers.date)) || responseTime;
+  const ageValue = (parseSeconds(firstValue(headers.age)) || 0) * 1000;
+  const apparentAge = Math.max(0, responseTime - date);
+  const responseDelay = responseTime - requestTime;
+  const correctedAgeValue = ageValue + responseDelay;
+  const correctedInitialAge = Math.max(apparentAge, correctedAgeValue);
+  const residentTime = now - responseTime;
+  return correctedInitialAge + residentTime;
+};
+
+/**
+ * Splits a readable stream into two streams emitting the same content.
+ *
+ * @param {Readable} readable source stream
+ * @returns {Readable[]}
+ */
+const tee = (readable) => {
+  const out1 = new PassThrough();
+  const out2 = new PassThrough();
+  readable.pipe(out1);
+  readable.pipe(out2);
+  // propagate errors
+  readable.once('error', (err) => {
+    out1.emit('error', err);
+    out2.destroy(err);
+  });
+  return [out1, out2];
+};
+
+/**
+ * Returns a stream which fails once more than `maxSize` bytes have been read from `readable`.
+ *
+ * @param {Readable} readable source stream
+ * @param {number} maxSize (bytes)
+ * @returns {Readable}
+ */
+const limitSize = (readable, maxSize) => {
+  let size = 0;
+  const limited = new Transform({
+    transform(chunk, encoding, cb) {
+      size += chunk.length;
+      if (size > maxSize) {
+        cb(new Error(`response body exceeds maxEntrySize of ${maxSize} bytes`));
+      } else {
+        cb(null, chunk);
+      }
+    },
+  });
+  pipeline(readable, limited, () => {});
+  return limited;
+};
+
+/**
+ * Private HTTP cache
+ *
+ * @see https://tools.ietf.org/html/rfc7234
+ */
+class HttpCache {
+  /**
+   * Constructs a new HttpCache instance
+   *
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {CacheStorage} [options.storage] storage backend
+   *                       (default: MemoryCacheStorage of the specified `size`)
+   * @param {number} [options.size=500] maximum number of entries of the default storage
+   * @param {number} [options.heuristicFraction=0.1] fraction of the time since
+   *                 last modification used as heuristic freshness lifetime
+   * @param {number} [options.maxEntrySize=1048576] (bytes) responses with larger
+   *                 (decoded) bodies are not stored
+   */
+  constructor(options = {}) {
+    const {
+      storage,
+      size,
+      heuristicFraction = HEURISTIC_FRACTION,
+      maxEntrySize = MAX_ENTRY_SIZE,
+    } = options;
+    this.heuristicFraction = heuristicFraction;
+    this.maxEntrySize = maxEntrySize;
+    this.storage = storage || new MemoryCacheStorage({ size });
+  }
+
+  /**
+   * Checks whether a response may be stored.
+   *
+   * @see https://tools.ietf.org/html/rfc7234#section-3
+   *
+   * @param {Object} reqHeaders plain request headers
+   * @param {Object} resp core response
+   * @returns {boolean}
+   */
+  isStorable(reqHeaders, { statusCode, headers }) {
+    if (!CACHEABLE_STATUS_CODES.includes(statusCode)) {
+      return false;
+    }
+    const reqCC = parseCacheControl(reqHeaders['cache-control']);
+    const respCC = parseCacheControl(headers['cache-control']);
+    if (reqCC['no-store'] || respCC['no-store']) {
+      return false;
+    }
+    if (parseVary(headers.vary).includes('*')) {
+      return false;
+    }
+    // larger bodies are discarded while they're being stored (see `store`)
+    if (!headers['content-encoding'] && +firstValue(headers['content-length']) > this.maxEntrySize) {
+      return false;
+    }
+    // store only responses which are either fresh for some time or can be revalidated
+    return respCC['max-age'] !== undefined
+      || headers.expires !== undefined
+      || headers['last-modified'] !== undefined
+      || headers.etag !== undefined;
+  }
+
+  /**
+   * Looks up a stored response matching the given request.
+   *
+   * @see https://tools.ietf.org/html/rfc7234#section-4
+   *
+   * @param {string} url
+   * @param {Object} reqHeaders plain request headers
+   * @returns {Promise<Object|undefined>} cache entry or undefined if there's no match
+   */
+  async match(url, reqHeaders) {
+    const stored = await this.storage.get(url);
+    if (!stored) {
+      return undefined;
+    }
+    const { metadata: entry, body } = stored;
+    // https://tools.ietf.org/html/rfc7234#section-4.1
+    const varyNames = parseVary(entry.headers.vary);
+    const normalize = (val) => (val === undefined ? undefined : String(val).trim());
+    if (varyNames.some((nm) => normalize(entry.reqHeaders[nm]) !== normalize(reqHeaders[nm]))) {
+      debug(`cache entry for ${url} doesn't match request headers: vary: ${joinValues(entry.headers.vary)}`);
+      body.destroy();
+      return undefined;
+    }
+    return { ...entry, body };
+  }
+
+  /**
+   * Checks whether a stored response can be served without revalidation.
+   *
+   * @see https://tools.ietf.org/html/rfc7234#section-4.2
+   *
+   * @param {Object} entry cache entry
+   * @param {Object} reqHeaders plain request headers
+   * @returns {boolean}
+   */
+  isFresh(entry, reqHeaders) {
+    const reqCC = parseCacheControl(reqHeaders['cache-control']);
+    const respCC = parseCacheControl(entry.headers['cache-control']);
+    if (reqCC['no-cache'] || (!reqHeaders['cache-control'] && reqHeaders.pragma === 'no-cache') || respCC['no-cache']) {
+      return false;
+    }
+    const age = currentAge(entry);
+    let lifetime = freshnessLifetime(entry, this.heuristicFraction);
+    const maxAge = parseSeconds(reqCC['max-age']);
+    if (maxAge !== undefined) {
+      lifetime = Math.min(lifetime, maxAge * 1000);
+    }
+    const minFresh = parseSeconds(reqCC['min-fresh']);
+    if (minFresh !== undefined) {
+      lifetime -= minFresh * 1000;
+    }
+    if (lifetime > age) {
+      return true;
+    }
+    // stale response: may only be served if the client accepts it
+    // (https://tools.ietf.org/html/rfc7234#section-4.2.4)
+    if (reqCC['max-stale'] === undefined || respCC['must-revalidate']) {
+      return false;
+    }
+    const maxStale = parseSeconds(reqCC['max-stale']);
+    return maxStale === undefined || (age - lifetime) <= maxStale * 1000;
+  }
+
+  /**
+   * Stores a response. The response body is stored while it is being read.
+   *
+   * @param {string} url
+   * @param {Object} entry cache entry metadata
+   * @param {Readable} body response body
+   * @returns {Readable} stream to be consumed instead of `body`
+   */
+  store(url, entry, body) {
+    const [out, stored] = tee(body);
+    // storing fails (i.e. the entry is discarded) if the body exceeds `maxEntrySize`
+    this.storage.put(url, entry, limitSize(stored, this.maxEntrySize))
+      .then(() => debug(`stored response for ${url}`))
+      .catch((err) => debug(`failed to store response for ${url}: ${err.message}`));
+    return out;
+  }
+
+  /**
+   * Returns a cache entry updated with the headers of a `304 Not Modified` response.
+   *
+   * @see https://tools.ietf.org/html/rfc7234#section-4.3.4
+   *
+   * @param {string} url
+   * @param {Object} entry cache entry
+   * @param {Object} resp core response (304)
+   * @param {number} requestTime
+   * @param {number} responseTime
+   * @returns {Object} updated cache entry
+   */
+  // eslint-disable-next-line class-methods-use-this
+  update(url, entry, { headers }, requestTime, responseTime) {
+    const updatedHeaders = { ...entry.headers };
+    Object.keys(headers)
+      .filter((name) => !EXCLUDED_UPDATE_HEADERS.includes(name))
+      .forEach((name) => {
+        updatedHeaders[name] = headers[name];
+      });
+    return {
+      ...entry,
+      headers: updatedHeaders,
+      requestTime,
+      responseTime,
+    };
+  }
+
+  /**
+   * Removes a stored response.
+   *
+   * @param {string} url
+   */
+  async invalidate(url) {
+    debug(`invalidating cache entry for ${url}`);
+    return this.storage.delete(url);
+  }
+
+  /**
+   * Removes all stored responses.
+   */
+  async clear() {
+    const keys = await this.storage.keys();
+    await Promise.all(keys.map((key) => this.storage.delete(key)));
+  }
+
+  /**
+   * Sends a request, using the cache where possible.
+   *
+   * @param {Object} req request description
+   * @param {string} req.url
+   * @param {string} req.method
+   * @param {Object} req.headers plain request headers
+   * @param {string} [req.mode='default'] cache mode
+   *                 (see https://fetch.spec.whatwg.org/#concept-request-cache-mode)
+   * @param {Function} send sends the request to the network: `(headers) => Promise<Object>`
+   * @returns {Promise<Object>} core response; responses served from the cache have
+   *                            the `fromCache` property set
+   * @throws {FetchError} if the cache mode is `only-if-cached` and there's no stored response
+   */
+  async fetch({
+    url, method, headers, mode = 'default',
+  }, send) {
+    if (!['GET', 'HEAD'].includes(method)) {
+      const resp = await send(headers);
+      // https://tools.ietf.org/html/rfc7234#section-4.4
+      if (resp.statusCode < 400) {
+        const urls = [url];
+        ['location', 'content-location'].forEach((name) => {
+          if (resp.headers[name]) {
+            const target = new URL(resp.headers[name], url);
+            if (target.origin === new URL(url).origin) {
+              urls.push(target.toString());
+            }
+          }
+        });
+        await Promise.all(urls.map((u) => this.invalidate(u)));
+      }
+      return resp;
+    }
+    let cacheMode = mode;
+    if (cacheMode === 'default' && CONDITIONAL_REQUEST_HEADERS.some((name) => headers[name] !== undefined)) {
+      // https://fetch.spec.whatwg.org/#http-network-or-cache-fetch step 8.18
+      cacheMode = 'no-store';
+    }
+    const lookup = method === 'GET'
+      && !['no-store', 'reload'].includes(cacheMode)
+      && !parseCacheControl(headers['cache-control'])['no-store'];
+
+    const entry = lookup ? await this.match(url, headers) : undefined;
+    // 'no-cache' mode: stored responses are always revalidated, whatever the request's
+    // `cache-control` header (e.g. `max-stale`)
+    if (entry && (['force-cache', 'only-if-cached'].includes(cacheMode)
+      || (cacheMode !== 'no-cache' && this.isFresh(entry, headers)))) {
+      debug(`serving ${url} from cache`);
+      return this.createResponse(entry);
+    }
+    if (cacheMode === 'only-if-cached') {
+      throw new FetchError(`no cached response available for: ${url}`, 'only-if-cached');
+    }
+    if (method === 'HEAD' || cacheMode === 'no-store') {
+      return send(headers);
+    }
+
+    const reqHeaders = { ...headers };
+    if (entry) {
+      // revalidate stale response
+      // (https://tools.ietf.org/html/rfc7234#section-4.3.1)
+      if (entry.headers.etag) {
+        reqHeaders['if-none-match'] = entry.headers.etag;
+      }
+      if (entry.headers['last-modified']) {
+        reqHeaders['if-modified-since'] = entry.headers['last-modified'];
+      }
+    }
+
+    const requestTime = Date.now();
+    let resp;
+    try {
+      resp = await send(reqHeaders);
+    } catch (err) {
+      if (entry) {
+        entry.body.destroy();
+      }
+      throw err;
+    }
+    const responseTime = Date.now();
+
+    if (entry && resp.statusCode === 304) {
+      debug(`cache entry for ${url} successfully revalidated`);
+      // discard (empty) response body
+      resp.readable.resume();
+      const { body, ...metadata } = this.update(url, entry, resp, requestTime, responseTime);
+      const updated = this.createResponse({ ...metadata, body });
+      updated.readable = this.store(url, metadata, updated.readable);
+      return updated;
+    }
+    if (entry) {
+      entry.body.destroy();
+    }
+    if (this.isStorable(headers, resp)) {
+      const {
+        statusCode, statusText, httpVersion, headers: respHeaders,
+      } = resp;
+      const metadata = {
+        statusCode,
+        statusText,
+        httpVersion,
+        headers: { ...respHeaders },
+        reqHeaders: { ...headers },
+        requestTime,
+        responseTime,
+      };
+      return { ...resp, readable: this.store(url, metadata, resp.readable) };
+    }
+    await this.invalidate(url);
+    return resp;
+  }
+
+  /**
+   * Creates a core response from a cache entry.
+   *
+   * @param {Object} entry
+   * @returns {Object} core response
+   */
+  // eslint-disable-next-line class-methods-use-this
+  createResponse(entry) {
+    const {
+      statusCode, statusText, httpVersion, headers, body,
+    } = entry;
+    return {
+      statusCode,
+      statusText,
+      httpVersion,
+      headers: { ...headers, age: String(Math.floor(currentAge(entry) / 1000)) },
+      readable: body,
+      fromCache: true,
+    };
+  }
+}
+
+module.exports = {
+  HttpCache,
+  parseCacheControl,
+  freshnessLifetime,
+  currentAge,
+};
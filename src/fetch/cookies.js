@@ -0,0 +1,561 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const net = require('net');
+
+const debug = require('debug')('poly-fetch:cookies');
+const { getDomain, getPublicSuffix } = require('tldts');
+
+const SECURE_PROTOCOLS = ['https:', 'wss:'];
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE'];
+
+const SAME_SITE_VALUES = ['strict', 'lax', 'none'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// https://tools.ietf.org/html/rfc6265#section-5.1.1
+// eslint-disable-next-line no-control-regex
+const DATE_DELIMITER = /[\x09\x20-\x2F\x3B-\x40\x5B-\x60\x7B-\x7E]+/;
+
+/**
+ * Parses a cookie date (`Expires` attribute).
+ *
+ * @see https://tools.ietf.org/html/rfc6265#section-5.1.1
+ *
+ * @param {string} str
+ * @returns {number|undefined} time in milliseconds since the epoch or `undefined` if invalid
+ */
+const parseCookieDate = (str) => {
+  let time;
+  let dayOfMonth;
+  let month;
+  let year;
+  str.split(DATE_DELIMITER).filter((token) => token).forEach((token) => {
+    const timeMatch = /^(\d{1,2}):(\d{1,2}):(\d{1,2})(?:\D|$)/.exec(token);
+    const digitsMatch = /^(\d{1,4})(?:\D|$)/.exec(token);
+    const monthIndex = MONTHS.indexOf(token.slice(0, 3).toLowerCase());
+    if (time === undefined && timeMatch) {
+      time = timeMatch.slice(1).map((n) => +n);
+    } else if (dayOfMonth === undefined && digitsMatch && digitsMatch[1].length <= 2) {
+      dayOfMonth = +digitsMatch[1];
+    } else if (month === undefined && monthIndex >= 0) {
+      month = monthIndex;
+    } else if (year === undefined && digitsMatch && digitsMatch[1].length >= 2) {
+      year = +digitsMatch[1];
+    }
+  });
+  if (year !== undefined) {
+    if (year >= 70 && year <= 99) {
+      year += 1900;
+    } else if (year >= 0 && year <= 69) {
+      year += 2000;
+    }
+  }
+  if (time === undefined || dayOfMonth === undefined || month === undefined
+    || year === undefined || year < 1601 || dayOfMonth < 1 || dayOfMonth > 31
+    || time[0] > 23 || time[1] > 59 || time[2] > 59) {
+    return undefined;
+  }
+  const date = Date.UTC(year, month, dayOfMonth, ...time);
+  // reject non-existent dates, e.g. Feb 30th
+  return new Date(date).getUTCDate() === dayOfMonth ? date : undefined;
+};
+
+/**
+ * Parses a `Set-Cookie` header value.
+ *
+ * @see https://tools.ietf.org/html/rfc6265#section-5.2
+ *
+ * @param {string} str `Set-Cookie` header value
+ * @returns {Object|null} name, value and attributes (names are lower-cased)
+ *                        or `null` if the value is invalid
+ */
+const parseSetCookie = (str) => {
+  const [nameValuePair, ...attrs] = str.split(';');
+  const idx = nameValuePair.indexOf('=');
+  if (idx < 0) {
+    return null;
+  }
+  const name = nameValuePair.slice(0, idx).trim();
+  const value = nameValuePair.slice(idx + 1).trim();
+  if (!name) {
+    return null;
+  }
+  const attributes = {};
+  attrs.forEach((attr) => {
+    const i = attr.indexOf('=');
+    const attrName = (i < 0 ? attr : attr.slice(0, i)).trim().toLowerCase();
+    const attrValue = i < 0 ? '' : attr.slice(i + 1).trim();
+    switch (attrName) {
+      case 'expires': {
+        const expires = parseCookieDate(attrValue);
+        if (expires !== undefined) {
+          attributes.expires = expires;
+        }
+        break;
+      }
+      case 'max-age':
+        if (/^-?\d+$/.test(attrValue)) {
+          attributes.maxAge = +attrValue;
+        }
+        break;
+      case 'domain':
+        if (attrValue) {
+          attributes.domain = attrValue.replace(/^\./, '').toLowerCase();
+        }
+        break;
+      case 'path':
+        attributes.path = attrValue.startsWith('/') ? attrValue : undefined;
+        break;
+      case 'secure':
+        attributes.secure = true;
+        break;
+      case 'httponly':
+        attributes.httpOnly = true;
+        break;
+      case 'samesite': {
+        const sameSite = attrValue.toLowerCase();
+        attributes.sameSite = SAME_SITE_VALUES.includes(sameSite) ? sameSite : undefined;
+        break;
+      }
+      default:
+        // ignore unknown attributes
+    }
+  });
+  return { name, value, ...attributes };
+};
+
+const NETSCAPE_HEADER = '# Netscape HTTP Cookie File';
+const NETSCAPE_HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+/**
+ * Returns the canonicalized host name of a url (lower case, without IPv6 brackets).
+ *
+ * @param {URL} url
+ * @returns {string}
+ */
+const canonicalHost = (url) => url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * @see https://tools.ietf.org/html/rfc6265#section-5.1.3
+ */
+const domainMatch = (host, domain) => host === domain
+  || (host.endsWith(`.${domain}`) && !net.isIP(host));
+
+/**
+ * @see https://tools.ietf.org/html/rfc6265#section-5.1.4
+ */
+const pathMatch = (reqPath, cookiePath) => reqPath === cookiePath
+  || (reqPath.startsWith(cookiePath)
+    && (cookiePath.endsWith('/') || reqPath[cookiePath.length] === '/'));
+
+/**
+ * @see https://tools.ietf.org/html/rfc6265#section-5.1.4
+ */
+const defaultPath = (url) => {
+  const { pathname } = url;
+  const idx = pathname.lastIndexOf('/');
+  return idx <= 0 ? '/' : pathname.slice(0, idx);
+};
+
+/**
+ * Returns the registrable domain ('site') of a host.
+ */
+const siteOf = (host) => (net.isIP(host)
+  ? host
+  : getDomain(host, { allowPrivateDomains: true }) || host);
+
+/**
+ * Returns true if `url` is cross-site with respect to the `site` url (the first url
+ * of a redirect chain).
+ */
+const isCrossSite = (url, site) => !!site
+  && siteOf(canonicalHost(url)) !== siteOf(canonicalHost(new URL(site)));
+
+const cookieKey = ({ domain, path, name }) => `${domain};${path};${name}`;
+
+const isExpired = (cookie, now = Date.now()) => cookie.expires !== null && cookie.expires <= now;
+
+/**
+ * Validates and normalizes a deserialized cookie.
+ *
+ * @param {Object} obj
+ * @returns {Object} cookie
+ * @throws {TypeError} if name, domain or path are missing
+ */
+const restoreCookie = (obj) => {
+  const {
+    name, value = '', domain, path, expires = null,
+    hostOnly = false, secure = false, httpOnly = false, sameSite = null,
+  } = obj || {};
+  if (typeof name !== 'string' || !name || typeof domain !== 'string' || !domain
+    || typeof path !== 'string' || !path.startsWith('/')) {
+    throw new TypeError(`invalid cookie: ${JSON.stringify(obj)}`);
+  }
+  const now = Date.now();
+  const { creationTime = now, lastAccessTime = now } = obj;
+  return {
+    name,
+    value: String(value),
+    domain: domain.toLowerCase(),
+    path,
+    expires: expires === null ? null : +expires,
+    hostOnly: !!hostOnly,
+    secure: !!secure,
+    httpOnly: !!httpOnly,
+    sameSite: SAME_SITE_VALUES.includes(sameSite) ? sameSite : null,
+    creationTime,
+    lastAccessTime,
+  };
+};
+
+/**
+ * In-memory cookie store with RFC 6265 semantics
+ * (including the `SameSite` attribute and cookie name prefixes of RFC 6265bis).
+ *
+ * @see https://tools.ietf.org/html/rfc6265
+ * @see https://tools.ietf.org/html/draft-ietf-httpbis-rfc6265bis-07
+ */
+class CookieJar {
+  /**
+   * Constructs a new CookieJar instance
+   *
+   * @constructor
+   */
+  constructor() {
+    // key: `${domain};${path};${name}`
+    this.cookies = new Map();
+  }
+
+  /**
+   * Stores a cookie received in a `Set-Cookie` header.
+   *
+   * @see https://tools.ietf.org/html/rfc6265#section-5.3
+   *
+   * @param {string} setCookie `Set-Cookie` header value
+   * @param {string|URL} url request url
+   * @param {Object} [options]
+   * @param {boolean} [options.http=true] `false` if the cookie is set by a non-HTTP API
+   * @param {string|URL} [options.site] url the request chain originated from;
+   *                                    `SameSite` cookies set by cross-site responses are ignored
+   * @returns {Object|null} the stored cookie or `null` if the cookie was ignored
+   */
+  setCookie(setCookie, url, options = {}) {
+    const { http = true, site } = options;
+    const reqURL = new URL(url);
+    const host = canonicalHost(reqURL);
+    const secureContext = SECURE_PROTOCOLS.includes(reqURL.protocol);
+    const parsed = parseSetCookie(String(setCookie));
+    const ignore = (reason) => {
+      debug(`ignoring cookie set by ${reqURL.origin}: ${reason}`);
+      return null;
+    };
+    if (!parsed) {
+      return ignore('invalid Set-Cookie header');
+    }
+    const now = Date.now();
+    const cookie = {
+      name: parsed.name,
+      value: parsed.value,
+      domain: host,
+      path: parsed.path || defaultPath(reqURL),
+      expires: null, // session cookie
+      hostOnly: true,
+      secure: !!parsed.secure,
+      httpOnly: !!parsed.httpOnly,
+      sameSite: parsed.sameSite || null,
+      creationTime: now,
+      lastAccessTime: now,
+    };
+    if (parsed.maxAge !== undefined) {
+      cookie.expires = parsed.maxAge <= 0 ? 0 : now + parsed.maxAge * 1000;
+    } else if (parsed.expires !== undefined) {
+      cookie.expires = parsed.expires;
+    }
+
+    let { domain } = parsed;
+    if (domain && getPublicSuffix(domain, { allowPrivateDomains: true }) === domain) {
+      // public suffix
+      if (domain !== host) {
+        return ignore(`domain ${domain} is a public suffix`);
+      }
+      domain = undefined;
+    }
+    if (domain) {
+      if (!domainMatch(host, domain)) {
+        return ignore(`domain ${domain} does not match`);
+      }
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    }
+
+    if (cookie.httpOnly && !http) {
+      return ignore('HttpOnly cookie set by non-HTTP API');
+    }
+    if (cookie.secure && !secureContext) {
+      return ignore('Secure cookie set by insecure origin');
+    }
+    if (cookie.sameSite === 'none' && !cookie.secure) {
+      return ignore('SameSite=None cookie without Secure attribute');
+    }
+    if (cookie.sameSite && cookie.sameSite !== 'none' && isCrossSite(reqURL, site)) {
+      return ignore('SameSite cookie set by cross-site response');
+    }
+    if (cookie.name.startsWith('__Secure-') && !cookie.secure) {
+      return ignore('__Secure- prefix requires the Secure attribute');
+    }
+    if (cookie.name.startsWith('__Host-')
+      && (!cookie.secure || !cookie.hostOnly || cookie.path !== '/')) {
+      return ignore('__Host- prefix requires the Secure attribute, no Domain and Path=/');
+    }
+    if (!cookie.secure && !secureContext) {
+      // insecure origins must not overlay existing secure cookies
+      for (const existing of this.cookies.values()) {
+        if (existing.secure && existing.name === cookie.name
+          && (domainMatch(existing.domain, cookie.domain)
+            || domainMatch(cookie.domain, existing.domain))
+          && pathMatch(cookie.path, existing.path)) {
+          return ignore(`would overlay Secure cookie ${cookie.name}`);
+        }
+      }
+    }
+
+    const key = cookieKey(cookie);
+    const old = this.cookies.get(key);
+    if (old) {
+      if (old.httpOnly && !http) {
+        return ignore('HttpOnly cookie cannot be overwritten by non-HTTP API');
+      }
+      cookie.creationTime = old.creationTime;
+      this.cookies.delete(key);
+    }
+    if (isExpired(cookie, now)) {
+      // expired: remove only
+      return null;
+    }
+    this.cookies.set(key, cookie);
+    return { ...cookie };
+  }
+
+  /**
+   * Stores the cookies received in `Set-Cookie` headers.
+   *
+   * @param {string|string[]} setCookies `Set-Cookie` header value(s)
+   * @param {string|URL} url request url
+   * @param {Object} [options] see `setCookie`
+   */
+  setCookies(setCookies, url, options) {
+    [].concat(setCookies).forEach((setCookie) => this.setCookie(setCookie, url, options));
+  }
+
+  /**
+   * Returns the cookies to be sent with a request, ordered as specified by RFC 6265.
+   *
+   * @see https://tools.ietf.org/html/rfc6265#section-5.4
+   *
+   * @param {string|URL} url request url
+   * @param {Object} [options]
+   * @param {boolean} [options.http=true] `false` excludes `HttpOnly` cookies (non-HTTP API)
+   * @param {string} [options.method='GET'] request method (`SameSite=Lax` cookies are only
+   *                                         sent with cross-site requests using safe methods)
+   * @param {string|URL} [options.site] url the request chain originated from
+   * @returns {Object[]} matching cookies
+   */
+  getCookies(url, options = {}) {
+    const { http = true, method = 'GET', site } = options;
+    const reqURL = new URL(url);
+    const host = canonicalHost(reqURL);
+    const secureContext = SECURE_PROTOCOLS.includes(reqURL.protocol);
+    const crossSite = isCrossSite(reqURL, site);
+    const safeMethod = SAFE_METHODS.includes(method.toUpperCase());
+    const now = Date.now();
+    const result = [];
+    this.listCookies().forEach((cookie) => {
+      if ((cookie.hostOnly ? host === cookie.domain : domainMatch(host, cookie.domain))
+        && pathMatch(reqURL.pathname, cookie.path)
+        && (!cookie.secure || secureContext)
+        && (!cookie.httpOnly || http)
+        && !(crossSite && cookie.sameSite === 'strict')
+        && !(crossSite && cookie.sameSite === 'lax' && !safeMethod)) {
+        result.push(this.cookies.get(cookieKey(cookie)));
+      }
+    });
+    // longer paths first, then earlier creation times
+    result.sort((c1, c2) => (c2.path.length - c1.path.length)
+      || (c1.creationTime - c2.creationTime));
+    result.forEach((cookie) => {
+      // eslint-disable-next-line no-param-reassign
+      cookie.lastAccessTime = now;
+    });
+    return result.map((cookie) => ({ ...cookie }));
+  }
+
+  /**
+   * Returns the value of the `Cookie` header to be sent with a request.
+   *
+   * @param {string|URL} url request url
+   * @param {Object} [options] see `getCookies`
+   * @returns {string} `Cookie` header value (empty string if there are no matching cookies)
+   */
+  getCookieHeader(url, options) {
+    return this.getCookies(url, options)
+      .map(({ name, value }) => `${name}=${value}`)
+      .join('; ');
+  }
+
+  /**
+   * Returns all stored cookies (expired cookies are removed).
+   *
+   * @returns {Object[]}
+   */
+  listCookies() {
+    const now = Date.now();
+    const result = [];
+    this.cookies.forEach((cookie, key) => {
+      if (isExpired(cookie, now)) {
+        this.cookies.delete(key);
+      } else {
+        result.push({ ...cookie });
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Removes the cookies which domain- and path-match `url`.
+   *
+   * @param {string|URL} url
+   * @param {string} [name] only remove cookies with this name
+   * @returns {number} number of removed cookies
+   */
+  deleteCookies(url, name) {
+    const reqURL = new URL(url);
+    const host = canonicalHost(reqURL);
+    let count = 0;
+    this.listCookies().forEach((cookie) => {
+      if ((name === undefined || cookie.name === name)
+        && (cookie.hostOnly ? host === cookie.domain : domainMatch(host, cookie.domain))
+        && pathMatch(reqURL.pathname, cookie.path)) {
+        this.cookies.delete(cookieKey(cookie));
+        count += 1;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Removes all cookies.
+   */
+  clear() {
+    this.cookies.clear();
+  }
+
+  /**
+   * Returns a JSON serializable representation of the stored cookies
+   * (including session cookies).
+   *
+   * @returns {{version: number, cookies: Object[]}}
+   */
+  toJSON() {
+    return { version: 1, cookies: this.listCookies() };
+  }
+
+  /**
+   * Adds the cookies of a serialized cookie jar (see `toJSON`).
+   * Existing cookies with the same name, domain and path are replaced.
+   *
+   * @param {string|Object} json
+   * @throws {TypeError} if the data is invalid
+   */
+  fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || !Array.isArray(data.cookies)) {
+      throw new TypeError('invalid cookie jar data: missing cookies array');
+    }
+    const now = Date.now();
+    data.cookies.map(restoreCookie).forEach((cookie) => {
+      if (!isExpired(cookie, now)) {
+        this.cookies.set(cookieKey(cookie), cookie);
+      }
+    });
+  }
+
+  /**
+   * Serializes the stored cookies in the Netscape `cookies.txt` format
+   * (as used by curl and wget). Session cookies are written with an expiry of `0`.
+   * The `SameSite` attribute is not supported by this format and is not preserved.
+   *
+   * @returns {string}
+   */
+  toNetscape() {
+    const lines = this.listCookies().map((cookie) => [
+      `${cookie.httpOnly ? NETSCAPE_HTTP_ONLY_PREFIX : ''}${cookie.hostOnly ? '' : '.'}${cookie.domain}`,
+      cookie.hostOnly ? 'FALSE' : 'TRUE',
+      cookie.path,
+      cookie.secure ? 'TRUE' : 'FALSE',
+      cookie.expires === null ? 0 : Math.round(cookie.expires / 1000),
+      cookie.name,
+      cookie.value,
+    ].join('\t'));
+    return [NETSCAPE_HEADER, '', ...lines, ''].join('\n');
+  }
+
+  /**
+   * Adds the cookies of a Netscape `cookies.txt` file.
+   * Existing cookies with the same name, domain and path are replaced.
+   *
+   * @param {string} text
+   * @throws {TypeError} if a line is invalid
+   */
+  fromNetscape(text) {
+    const now = Date.now();
+    String(text).split(/\r?\n/).forEach((line) => {
+      let httpOnly = false;
+      let ln = line;
+      if (ln.startsWith(NETSCAPE_HTTP_ONLY_PREFIX)) {
+        httpOnly = true;
+        ln = ln.slice(NETSCAPE_HTTP_ONLY_PREFIX.length);
+      }
+      if (!ln.trim() || ln.startsWith('#')) {
+        // empty line or comment
+        return;
+      }
+      const [domain, subdomains, path, secure, expires, name, value = ''] = ln.split('\t');
+      if (name === undefined || !/^\d+$/.test(expires)) {
+        throw new TypeError(`invalid cookies.txt line: ${line}`);
+      }
+      const cookie = restoreCookie({
+        name,
+        value,
+        domain: domain.replace(/^\./, ''),
+        path,
+        // a leading dot or the include subdomains flag indicate a domain cookie
+        hostOnly: !domain.startsWith('.') && subdomains !== 'TRUE',
+        secure: secure === 'TRUE',
+        httpOnly,
+        expires: +expires === 0 ? null : +expires * 1000,
+      });
+      if (!isExpired(cookie, now)) {
+        this.cookies.set(cookieKey(cookie), cookie);
+      }
+    });
+  }
+}
+
+module.exports = {
+  CookieJar,
+  parseCookieDate,
+  parseSetCookie,
+};
@@ -58,4 +58,19 @@ class AbortError extends FetchBaseError {
   }
 }
 
-module.exports = { FetchBaseError, FetchError, AbortError };
+class TimeoutError extends FetchBaseError {
+  /**
+   * @param {string} message error message
+   * @param {string} phase the phase of the request which timed out
+   *                       (`connect`, `secureConnect`, `response`, `idle` or `total`)
+   */
+  constructor(message, phase) {
+    super(message, 'timeout');
+    this.phase = phase;
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+module.exports = {
+  FetchBaseError, FetchError, AbortError, TimeoutError,
+};
@@ -0,0 +1,282 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const { Transform, pipeline } = require('stream');
+const { performance } = require('perf_hooks');
+
+const { parseSetCookie } = require('./cookies');
+const { isPlainObject } = require('../common/utils');
+
+const { version } = require('../../package.json');
+
+const HAR_VERSION = '1.2';
+const DEFAULT_MAX_BODY_SIZE = 64 * 1024; // (bytes)
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const TEXT_MIME_TYPE = /^text\/|[/+](json|xml|javascript|x-www-form-urlencoded)\b/i;
+
+/**
+ * Converts a headers object (name -> string|string[]) to a list of HAR name/value pairs.
+ *
+ * @param {Object} headers
+ * @returns {Array<Object>}
+ */
+const nameValuePairs = (headers) => Object.entries(headers).reduce((pairs, [name, value]) => {
+  [].concat(value).forEach((val) => pairs.push({ name, value: String(val) }));
+  return pairs;
+}, []);
+
+const requestCookies = (header) => (header
+  ? [].concat(header).join('; ').split(';')
+    .map((pair) => pair.trim())
+    .filter((pair) => pair.includes('='))
+    .map((pair) => {
+      const idx = pair.indexOf('=');
+      return { name: pair.slice(0, idx), value: pair.slice(idx + 1) };
+    })
+  : []);
+
+const responseCookies = (header) => [].concat(header || [])
+  .map(parseSetCookie)
+  .filter((cookie) => cookie)
+  .map(({
+    name, value, path, domain, expires, httpOnly, secure,
+  }) => ({
+    name,
+    value,
+    ...(path !== undefined ? { path } : {}),
+    ...(domain !== undefined ? { domain } : {}),
+    ...(expires !== undefined ? { expires: new Date(expires).toISOString() } : {}),
+    ...(httpOnly ? { httpOnly } : {}),
+    ...(secure ? { secure } : {}),
+  }));
+
+const httpVersion = (ver) => (ver ? `HTTP/${ver}` : '');
+
+/**
+ * Returns the (truncated) HAR representation of a body.
+ *
+ * @param {Buffer} buf
+ * @param {string} mimeType
+ * @param {number} maxBodySize
+ * @returns {Object} `{ text, encoding }`
+ */
+const bodyText = (buf, mimeType, maxBodySize) => {
+  const data = buf.length > maxBodySize ? buf.slice(0, maxBodySize) : buf;
+  if (TEXT_MIME_TYPE.test(mimeType)) {
+    return { text: data.toString('utf8') };
+  }
+  return { text: data.toString('base64'), encoding: 'base64' };
+};
+
+/**
+ * Returns the HAR `postData` of a request body (`body` fetch option).
+ *
+ * @param {*} body
+ * @param {string} mimeType
+ * @param {number} maxBodySize
+ * @returns {Object|undefined}
+ */
+const postData = (body, mimeType, maxBodySize) => {
+  if (body === undefined || body === null) {
+    return undefined;
+  }
+  let buf;
+  if (typeof body === 'string' || body instanceof String || body instanceof URLSearchParams) {
+    buf = Buffer.from(body.toString());
+  } else if (Buffer.isBuffer(body)) {
+    buf = body;
+  } else if (isPlainObject(body)) {
+    buf = Buffer.from(JSON.stringify(body));
+  } else {
+    // stream: content not recorded
+    return { mimeType, text: '' };
+  }
+  return { mimeType, ...bodyText(buf, mimeType, maxBodySize) };
+};
+
+const duration = (start, end) => (start === undefined || end === undefined
+  ? -1
+  : Math.max(end - start, 0));
+
+/**
+ * Returns the HAR timings of a request.
+ *
+ * @param {Object} [timings] core timings (see `response.timings`)
+ * @returns {Object}
+ */
+const harTimings = (timings) => {
+  if (!timings) {
+    return {
+      blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0,
+    };
+  }
+  const {
+    startTime, domainLookupStart, domainLookupEnd, connectStart, secureConnectionStart,
+    connectEnd, requestStart, responseStart, responseEnd,
+  } = timings;
+  return {
+    blocked: duration(startTime, domainLookupStart),
+    dns: duration(domainLookupStart, domainLookupEnd),
+    // HAR: connect includes ssl
+    connect: duration(connectStart, connectEnd),
+    ssl: duration(secureConnectionStart, connectEnd),
+    send: 0,
+    wait: Math.max(duration(requestStart, responseStart), 0),
+    receive: Math.max(duration(responseStart, responseEnd), 0),
+  };
+};
+
+const totalTime = (timings) => Object.values(timings)
+  .filter((value) => value > 0)
+  .reduce((sum, value) => sum + value, 0)
+  // HAR: ssl time is included in connect time
+  - Math.max(timings.ssl, 0);
+
+/**
+ * Records the traffic of a context as HAR (HTTP Archive) 1.2 log.
+ *
+ * @see http://www.softwareishard.com/blog/har-12-spec/
+ */
+class HarRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxBodySize=65536] max. number of recorded bytes
+   *        of request and response bodies
+   * @param {number} [options.maxEntries=1000] max. number of recorded entries,
+   *        the oldest entries are discarded first
+   */
+  constructor({ maxBodySize = DEFAULT_MAX_BODY_SIZE, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxBodySize = maxBodySize;
+    this.maxEntries = maxEntries;
+    this.entries = [];
+  }
+
+  /**
+   * Records a request and its response. The response body is captured while
+   * it's being consumed.
+   *
+   * @param {Object} request `{ url, method, body }`
+   * @param {Object} resp core response
+   * @param {Object} [extra] additional (custom) entry fields, e.g. `{ _pushed: true }`
+   * @returns {Readable} response body stream to be used instead of `resp.readable`
+   */
+  record({ url, method, body }, resp, extra = {}) {
+    const {
+      statusCode, statusText, headers, readable, timings, requestHeaders = {},
+    } = resp;
+    const { maxBodySize } = this;
+    const requestMimeType = [].concat(requestHeaders['content-type'] || '')[0];
+    const mimeType = [].concat(headers['content-type'] || '')[0];
+    const started = timings
+      ? Date.now() - (performance.now() - timings.startTime)
+      : Date.now();
+    const content = { size: 0, mimeType };
+    const entry = {
+      startedDateTime: new Date(started).toISOString(),
+      time: 0,
+      request: {
+        method,
+        url,
+        httpVersion: httpVersion(resp.httpVersion),
+        cookies: requestCookies(requestHeaders.cookie),
+        headers: nameValuePairs(requestHeaders),
+        queryString: [...new URL(url).searchParams].map(([name, value]) => ({ name, value })),
+        ...(body !== undefined && body !== null
+          ? { postData: postData(body, requestMimeType, maxBodySize) }
+          : {}),
+        headersSize: -1,
+        bodySize: -1,
+      },
+      response: {
+        status: statusCode,
+        statusText: statusText || '',
+        httpVersion: httpVersion(resp.httpVersion),
+        cookies: responseCookies(headers['set-cookie']),
+        headers: nameValuePairs(headers),
+        content,
+        redirectURL: headers.location ? new URL(headers.location, url).href : '',
+        headersSize: -1,
+        bodySize: -1,
+      },
+      cache: {},
+      timings: harTimings(timings),
+      ...extra,
+    };
+    entry.time = totalTime(entry.timings);
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    // capture (size-capped) response body
+    const chunks = [];
+    let captured = 0;
+    const finish = () => {
+      const buf = Buffer.concat(chunks);
+      if (buf.length) {
+        Object.assign(content, bodyText(buf, mimeType, maxBodySize));
+      }
+      if (content.size > maxBodySize) {
+        // custom field
+        content._truncated = true; // eslint-disable-line no-underscore-dangle
+      }
+      entry.timings = harTimings(timings);
+      entry.time = totalTime(entry.timings);
+    };
+    const tap = new Transform({
+      transform(chunk, encoding, cb) {
+        content.size += chunk.length;
+        if (captured < maxBodySize) {
+          chunks.push(chunk);
+          captured += chunk.length;
+        }
+        cb(null, chunk);
+      },
+      flush(cb) {
+        finish();
+        cb();
+      },
+    });
+    pipeline(readable, tap, () => {});
+    return tap;
+  }
+
+  /**
+   * Returns the recorded traffic as HAR log.
+   *
+   * @returns {Object} `{ log: { version, creator, pages, entries } }`
+   */
+  toJSON() {
+    return {
+      log: {
+        version: HAR_VERSION,
+        creator: { name: 'poly-fetch', version },
+        pages: [],
+        entries: this.entries.map((entry) => JSON.parse(JSON.stringify(entry))),
+      },
+    };
+  }
+
+  /**
+   * Discards the recorded traffic.
+   */
+  clear() {
+    this.entries = [];
+  }
+}
+
+module.exports = {
+  HarRecorder,
+};
@@ -59,6 +59,9 @@ const normalizeValue = (value) => {
 /**
  * Headers class
  *
+ * Multiple values of a header are stored separately; `get()` returns the
+ * combined value, `getSetCookie()` and `raw()` provide access to the individual values.
+ *
  * @see https://fetch.spec.whatwg.org/#headers-class
  */
 class Headers {
@@ -74,8 +77,8 @@ class Headers {
     };
 
     if (init instanceof Headers) {
-      init.forEach((value, name) => {
-        this.append(name, value);
+      init[INTERNALS].map.forEach((values, name) => {
+        this[INTERNALS].map.set(name, [...values]);
       });
     } else if (Array.isArray(init)) {
       init.forEach(([name, value]) => {
@@ -83,13 +86,18 @@ class Headers {
       });
     } else /* istanbul ignore else  */ if (isPlainObject(init)) {
       for (const [name, value] of Object.entries(init)) {
-        this.append(name, value);
+        // extension: multiple values (e.g. `set-cookie` of a node response)
+        if (Array.isArray(value)) {
+          value.forEach((val) => this.append(name, val));
+        } else {
+          this.append(name, value);
+        }
       }
     }
   }
 
   set(name, value) {
-    this[INTERNALS].map.set(normalizeName(name), normalizeValue(value));
+    this[INTERNALS].map.set(normalizeName(name), [normalizeValue(value)]);
   }
 
   has(name) {
@@ -97,15 +105,30 @@ class Headers {
   }
 
   get(name) {
-    const val = this[INTERNALS].map.get(normalizeName(name));
-    return val === undefined ? null : val;
+    const values = this[INTERNALS].map.get(normalizeName(name));
+    return values === undefined ? null : values.join(', ');
+  }
+
+  /**
+   * Returns the values of all `Set-Cookie` headers.
+   *
+   * @see https://fetch.spec.whatwg.org/#dom-headers-getsetcookie
+   *
+   * @return {string[]}
+   */
+  getSetCookie() {
+    return [...(this[INTERNALS].map.get('set-cookie') || [])];
   }
 
   append(name, value) {
     const nm = normalizeName(name);
     const val = normalizeValue(value);
-    const oldVal = this[INTERNALS].map.get(nm);
-    this[INTERNALS].map.set(nm, oldVal ? `${oldVal}, ${val}` : val);
+    const values = this[INTERNALS].map.get(nm);
+    if (values) {
+      values.push(val);
+    } else {
+      this[INTERNALS].map.set(nm, [val]);
+    }
   }
 
   delete(name) {
@@ -113,28 +136,38 @@ class Headers {
   }
 
   forEach(callback, thisArg) {
-    for (const name of this.keys()) {
-      callback.call(thisArg, this.get(name), name);
+    for (const [name, value] of this.entries()) {
+      callback.call(thisArg, value, name);
     }
   }
 
   keys() {
-    return Array.from(this[INTERNALS].map.keys())
-      .sort();
+    return Array.from(this.entries(), ([name]) => name);
   }
 
   * values() {
-    for (const name of this.keys()) {
-      yield this.get(name);
+    for (const [, value] of this.entries()) {
+      yield value;
     }
   }
 
   /**
+   * Returns the sorted and combined headers; `set-cookie` values are not combined.
+   *
+   * @see https://fetch.spec.whatwg.org/#concept-header-list-sort-and-combine
+   *
    * @type {() => IterableIterator<[string, string]>}
    */
   * entries() {
-    for (const name of this.keys()) {
-      yield [name, this.get(name)];
+    const names = Array.from(this[INTERNALS].map.keys()).sort();
+    for (const name of names) {
+      if (name === 'set-cookie') {
+        for (const value of this[INTERNALS].map.get(name)) {
+          yield [name, value];
+        }
+      } else {
+        yield [name, this.get(name)];
+      }
     }
   }
 
@@ -150,13 +183,27 @@ class Headers {
   }
 
   /**
-   * Returns the headers as a plain object.
+   * Returns the headers as a plain object (multiple values are combined).
    * (extension)
    *
    * @return {object}
    */
   plain() {
-    return Object.fromEntries(this[INTERNALS].map);
+    return Object.fromEntries(
+      Array.from(this[INTERNALS].map.keys(), (name) => [name, this.get(name)]),
+    );
+  }
+
+  /**
+   * Returns the headers as a plain object with an array of values per name.
+   * (extension)
+   *
+   * @return {Object<string, string[]>}
+   */
+  raw() {
+    return Object.fromEntries(
+      Array.from(this[INTERNALS].map, ([name, values]) => [name, [...values]]),
+    );
   }
 }
 
@@ -171,6 +218,7 @@ Object.defineProperties(
     'entries',
     'forEach',
     'get',
+    'getSetCookie',
     'has',
     'keys',
     'set',
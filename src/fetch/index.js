@@ -12,24 +12,81 @@
 
 'use strict';
 
-const { Readable } = require('stream');
+const { PassThrough, Readable, pipeline } = require('stream');
 
 const FormData = require('form-data');
 
 const { Body } = require('./body');
+const { HttpCache } = require('./cache');
+const { CookieJar } = require('./cookies');
+const { HarRecorder } = require('./har');
+const { MemoryCacheStorage, FileSystemCacheStorage } = require('./storage');
 const { Headers } = require('./headers');
 const { Request } = require('./request');
 const { Response } = require('./response');
-const { FetchBaseError, FetchError, AbortError } = require('./errors');
+const {
+  FetchBaseError, FetchError, AbortError, TimeoutError,
+} = require('./errors');
 const { AbortController, AbortSignal } = require('./abort');
+const { retry, retryPolicy } = require('./retry');
+const {
+  validateTracing, traceContextHeaders, requestAttributes, traced,
+} = require('./tracing');
+
+const { isPlainObject } = require('../common/utils');
 
 // core abstraction layer
-const { context, RequestAbortedError } = require('../core');
+const {
+  context, RequestAbortedError, RequestRefusedError, RequestTimeoutError, PinMismatchError,
+} = require('../core');
 
-const fetch = async (ctx, url, options = {}) => {
-  const { request } = ctx.context;
+/**
+ * Pipes a core response stream through a stream which converts
+ * `RequestTimeoutError`s to `TimeoutError`s.
+ *
+ * @param {Readable} readable core response stream
+ * @returns {Readable}
+ */
+const mapTimeoutErrors = (readable) => {
+  const out = new PassThrough({
+    destroy: (err, cb) => cb(err instanceof RequestTimeoutError
+      ? new TimeoutError(err.message, err.phase)
+      : err),
+  });
+  pipeline(readable, out, () => {});
+  return out;
+};
+
+/**
+ * Returns the `timeout` option of a single request: the `total` timeout applies to
+ * the whole `fetch()` (including retries and redirects), i.e. a request gets the
+ * time remaining until the deadline.
+ *
+ * @param {Object} [timeout] `timeout` fetch option
+ * @param {number} [deadline] (ms since the epoch) deadline of the `fetch()`
+ * @param {number} [total] configured `total` timeout (reported in timeout errors)
+ * @returns {Object|undefined}
+ */
+const requestTimeout = (timeout, deadline, total) => (deadline === undefined
+  ? timeout
+  : { ...timeout, total: Math.max(0, deadline - Date.now()), totalConfigured: total });
 
-  const req = new Request(url, options);
+// (plain object bodies are sent as JSON)
+const bodyInit = (body) => (isPlainObject(body) ? JSON.stringify(body) : body);
+
+/**
+ * Sends a request and follows redirects.
+ *
+ * @param {FetchContext} ctx
+ * @param {Request} req
+ * @param {Object} options fetch options (`retry`, `timeout`, `proxy` etc.);
+ *                         `body` is only used for re-sending the request body on retries,
+ *                         `deadline` is the end of the `total` timeout of the `fetch()`
+ * @param {string} [site] url of the first request of a redirect chain (`SameSite` cookies)
+ * @param {Object} [span] span of the logical `fetch()` (see `tracing` option)
+ */
+const fetch = async (ctx, req, options, site = undefined, span = undefined) => {
+  const { request } = ctx.context;
 
   // extract optional signal
   const { signal } = req;
@@ -46,28 +103,117 @@ const fetch = async (ctx, url, options = {}) => {
     throw err;
   }
 
+  // the request body can only be re-sent if it's not a stream
+  const replayable = req.body === null
+    || (options.body != null && !(options.body instanceof Readable));
+  const policy = retryPolicy(ctx.options.retry, options.retry);
+  let attempts = 0;
+
+  // call underlying protocol agnostic abstraction;
+  // signal is passed to lower layer which throws a TBD error
+  // if the signal fires
+  const { deadline, ...coreOptions } = options;
+  const { total } = { ...ctx.options.timeout, ...options.timeout };
+  const send = async (headers) => retry(policy, {
+    url: req.url, method: req.method, replayable, signal,
+  }, async (n) => {
+    attempts = n;
+    const timeout = requestTimeout(options.timeout, deadline, total);
+    let { body } = req;
+    if (n > 1 && body !== null) {
+      // re-create consumed body stream
+      ({ body } = new Body(bodyInit(options.body)));
+    }
+    let resp;
+    if (!span) {
+      resp = await request(req.url, {
+        ...coreOptions,
+        timeout,
+        method: req.method,
+        headers,
+        body,
+      });
+    } else {
+      // child span per attempt (retries, redirect hops)
+      const attributes = requestAttributes(req.method, req.url);
+      if (req.counter + n > 1) {
+        attributes['http.request.resend_count'] = req.counter + n - 1;
+      }
+      resp = await traced(ctx.tracing, req.method, attributes, span, async (attemptSpan) => {
+        const res = await request(req.url, {
+          ...coreOptions,
+          timeout,
+          method: req.method,
+          headers: { ...headers, ...traceContextHeaders(attemptSpan) },
+          body,
+        });
+        attemptSpan.setAttribute('network.protocol.version', res.httpVersion === '2.0' ? '2' : res.httpVersion);
+        attemptSpan.setAttribute('poly-fetch.protocol', res.protocol);
+        return res;
+      });
+    }
+    if (ctx.har) {
+      // the response body is captured while it's being consumed
+      const readable = ctx.har.record({
+        url: req.url, method: req.method, body: options.body,
+      }, resp);
+      return { ...resp, readable };
+    }
+    return resp;
+  });
+
+  const reqHeaders = req.headers.plain();
+  // https://fetch.spec.whatwg.org/#http-network-or-cache-fetch steps 8.19, 8.20
+  if (['no-store', 'reload'].includes(req.cache)) {
+    if (!reqHeaders.pragma) {
+      reqHeaders.pragma = 'no-cache';
+    }
+    if (!reqHeaders['cache-control']) {
+      reqHeaders['cache-control'] = 'no-cache';
+    }
+  } else if (req.cache === 'no-cache' && !reqHeaders['cache-control']) {
+    reqHeaders['cache-control'] = 'max-age=0';
+  }
+
+  if (ctx.cookieJar) {
+    // add matching cookies to explicitly set cookies
+    const cookies = ctx.cookieJar.getCookieHeader(req.url, { method: req.method, site });
+    if (cookies) {
+      reqHeaders.cookie = reqHeaders.cookie ? `${reqHeaders.cookie}; ${cookies}` : cookies;
+    }
+  }
+
   try {
-    // call underlying protocol agnostic abstraction;
-    // signal is passed to lower layer which throws a TBD error
-    // if the signal fires
-    coreResp = await request(req.url, {
-      ...options,
-      method: req.method,
-      headers: req.headers.plain(),
-      body: req.body,
-    });
+    if (ctx.cache) {
+      coreResp = await ctx.cache.fetch({
+        url: req.url, method: req.method, headers: reqHeaders, mode: req.cache,
+      }, send);
+    } else if (req.cache === 'only-if-cached') {
+      throw new FetchError(`no cached response available for: ${req.url}`, 'only-if-cached');
+    } else {
+      coreResp = await send(reqHeaders);
+    }
   } catch (err) {
     // cleanup request
     if (req.body && req.body instanceof Readable) {
       req.body.destroy(err);
     }
     /* istanbul ignore next */
-    if (err instanceof TypeError) {
+    if (err instanceof TypeError || err instanceof FetchBaseError) {
       throw err;
     }
     if (err instanceof RequestAbortedError) {
       throw new AbortError('The operation was aborted.');
     }
+    if (err instanceof RequestRefusedError) {
+      throw new FetchError(err.message, 'request-refused', err);
+    }
+    if (err instanceof PinMismatchError) {
+      throw new FetchError(err.message, 'pin-mismatch', err);
+    }
+    if (err instanceof RequestTimeoutError) {
+      throw new TimeoutError(err.message, err.phase);
+    }
     // wrap system error in a FetchError instance
     throw new FetchError(err.message, 'system', err);
   }
@@ -95,8 +241,17 @@ const fetch = async (ctx, url, options = {}) => {
     statusText,
     httpVersion,
     headers,
-    readable,
+    fromCache,
   } = coreResp;
+  if (ctx.cookieJar && !fromCache && headers['set-cookie']) {
+    // store cookies of every response, including redirects
+    ctx.cookieJar.setCookies(headers['set-cookie'], req.url, { site });
+  }
+
+  // body timeouts (idle, total) surface as errors on the response stream
+  const readable = ctx.options.timeout || options.timeout
+    ? mapTimeoutErrors(coreResp.readable)
+    : coreResp.readable;
 
   // redirect?
   // https://fetch.spec.whatwg.org/#concept-http-fetch step 6
@@ -141,9 +296,13 @@ const fetch = async (ctx, url, options = {}) => {
           headers: new Headers(req.headers),
           follow: req.follow,
           compress: req.compress,
+          cache: req.cache,
           counter: req.counter + 1,
           method: req.method,
-          body: req.body,
+          // re-send the original body (the body stream of `req` has been consumed)
+          body: options.body != null && !(options.body instanceof Readable)
+            ? bodyInit(options.body)
+            : req.body,
           signal: req.signal,
         };
 
@@ -168,7 +327,16 @@ const fetch = async (ctx, url, options = {}) => {
           // deregister from signal
           signal.removeEventListener('abort', abortHandler);
         }
-        return fetch(ctx, new Request(locationURL, requestOptions));
+        // eslint-disable-next-line no-use-before-define
+        return dispatch(ctx, new Request(locationURL, requestOptions), {
+          retry: options.retry,
+          timeout: options.timeout,
+          deadline,
+          // (HAR `postData` and retries of a re-sent body)
+          body: requestOptions.body === undefined ? undefined : options.body,
+          proxy: options.proxy,
+          socketPath: options.socketPath,
+        }, site || req.url, span);
       }
 
       /* istanbul ignore next */
@@ -196,10 +364,65 @@ const fetch = async (ctx, url, options = {}) => {
       headers,
       httpVersion,
       counter: req.counter,
+      fromCache,
+      attempts,
+      timings: coreResp.timings,
+      connection: coreResp.connection,
     },
   );
 };
 
+/**
+ * Passes a request through the middleware chain of the context and sends it.
+ *
+ * Every redirect hop passes through the whole chain (with an incremented `request.counter`);
+ * i.e. `next()` of the original request resolves with the final response. Retries are
+ * performed inside `next()` and don't pass through the chain again (see `response.attempts`).
+ *
+ * @param {FetchContext} ctx
+ * @param {Request} req
+ * @param {Object} options fetch options
+ * @param {string} [site] url of the first request of a redirect chain
+ * @param {Object} [span] span of the logical `fetch()` (see `tracing` option)
+ * @returns {Promise<Response>}
+ */
+const dispatch = async (ctx, req, options, site, span) => {
+  const { middleware } = ctx;
+  const run = async (index, request) => {
+    if (index === middleware.length) {
+      // a replaced request body can't be re-sent on retries
+      const opts = request === req ? options : { ...options, body: undefined };
+      return fetch(ctx, request, opts, site, span);
+    }
+    const next = async (nextRequest = request) => {
+      if (!(nextRequest instanceof Request)) {
+        throw new TypeError('middleware must pass a Request to next()');
+      }
+      return run(index + 1, nextRequest);
+    };
+    const resp = await middleware[index](request, next);
+    if (!(resp instanceof Response)) {
+      throw new TypeError('middleware must return a Response');
+    }
+    return resp;
+  };
+  return run(0, req);
+};
+
+/**
+ * Validates a middleware function.
+ *
+ * @param {Function} middleware `async (request, next) => response`
+ * @returns {Function}
+ * @throws {TypeError} if `middleware` is not a function
+ */
+const validateMiddleware = (middleware) => {
+  if (typeof middleware !== 'function') {
+    throw new TypeError('middleware must be a function: (request, next) => Promise<Response>');
+  }
+  return middleware;
+};
+
 class FetchContext {
   constructor(options) {
     // setup context
@@ -213,8 +436,15 @@ class FetchContext {
           statusText,
           httpVersion,
           headers,
-          readable,
         } = response;
+        let { readable } = response;
+        if (this.har) {
+          readable = this.har.record(
+            { url, method: reqHeaders[':method'] },
+            { ...response, requestHeaders: reqHeaders },
+            { _pushed: true },
+          );
+        }
         handler(
           url,
           reqHeaders,
@@ -223,11 +453,31 @@ class FetchContext {
             statusText,
             headers,
             httpVersion,
+            connection: response.connection,
           }),
         );
       };
     }
+    this.middleware = [].concat(this.options.middleware || []).map(validateMiddleware);
+    if (this.options.tracing) {
+      // opt-in tracing (e.g. OpenTelemetry)
+      this.tracing = validateTracing(this.options.tracing);
+    }
     this.context = context(this.options);
+    if (this.options.cache) {
+      // opt-in HTTP cache
+      this.cache = new HttpCache(this.options.cache === true ? {} : this.options.cache);
+    }
+    if (this.options.cookieJar) {
+      // opt-in cookie jar
+      this.cookieJar = this.options.cookieJar instanceof CookieJar
+        ? this.options.cookieJar
+        : new CookieJar();
+    }
+    if (this.options.har) {
+      // opt-in HAR recording
+      this.har = new HarRecorder(this.options.har === true ? {} : this.options.har);
+    }
   }
 
   /**
@@ -241,6 +491,14 @@ class FetchContext {
        */
       fetch: async (url, options) => this.fetch(url, options),
 
+      /**
+       * Appends a middleware to the middleware chain of the current context
+       * (see `middleware` context option).
+       *
+       * @param {Function} middleware `async (request, next) => response`
+       */
+      use: (middleware) => this.use(middleware),
+
       Body,
       Headers,
       Request,
@@ -254,6 +512,11 @@ class FetchContext {
       FetchBaseError,
       FetchError,
       AbortError,
+      TimeoutError,
+
+      MemoryCacheStorage,
+      FileSystemCacheStorage,
+      CookieJar,
 
       /**
        * This function returns an object which looks like the public API,
@@ -269,6 +532,67 @@ class FetchContext {
        */
       reset: async () => this.context.reset(),
 
+      /**
+       * Removes all responses stored in the HTTP cache of the current context
+       * (see `cache` context option).
+       */
+      clearCache: async () => this.clearCache(),
+
+      /**
+       * Returns all cookies stored in the cookie jar of the current context
+       * (see `cookieJar` context option).
+       */
+      listCookies: () => this.listCookies(),
+
+      /**
+       * Returns the cookies which would be sent with a request to `url`.
+       *
+       * @param {string|URL} url
+       */
+      getCookies: (url) => this.getCookies(url),
+
+      /**
+       * Removes the cookies which match `url` (and optionally `name`).
+       * Returns the number of removed cookies.
+       *
+       * @param {string|URL} url
+       * @param {string} [name]
+       */
+      deleteCookies: (url, name) => this.deleteCookies(url, name),
+
+      /**
+       * Removes all cookies stored in the cookie jar of the current context.
+       */
+      clearCookies: () => this.clearCookies(),
+
+      /**
+       * Serializes the cookies stored in the cookie jar of the current context.
+       *
+       * @param {string} [format='json'] `'json'` or `'netscape'` (`cookies.txt`)
+       */
+      serializeCookies: (format) => this.serializeCookies(format),
+
+      /**
+       * Adds serialized cookies to the cookie jar of the current context.
+       *
+       * @param {string} data serialized cookies
+       * @param {string} [format='json'] `'json'` or `'netscape'` (`cookies.txt`)
+       */
+      deserializeCookies: (data, format) => this.deserializeCookies(data, format),
+
+      /**
+       * Returns the traffic recorded in the current context as HAR 1.2 log
+       * (see `har` context option).
+       *
+       * @returns {Object} `{ log: { version, creator, pages, entries } }`
+       */
+      getHar: () => this.getHar(),
+
+      /**
+       * Discards the traffic recorded in the current context.
+       */
+      clearHar: () => this.clearHar(),
+
       ALPN_HTTP2: this.context.ALPN_HTTP2,
       ALPN_HTTP2C: this.context.ALPN_HTTP2C,
       ALPN_HTTP1_1: this.context.ALPN_HTTP1_1,
@@ -276,8 +600,88 @@ class FetchContext {
     };
   }
 
-  async fetch(url, options) {
-    return fetch(this, url, options);
+  async fetch(url, options = {}) {
+    const req = new Request(url, options);
+    // the `total` timeout starts once per `fetch()`, retries and redirects share it
+    const { total } = { ...this.options.timeout, ...options.timeout };
+    const opts = typeof total === 'number' ? { ...options, deadline: Date.now() + total } : options;
+    if (!this.tracing) {
+      return dispatch(this, req, opts);
+    }
+    // one span per logical fetch, with child spans per attempt
+    return traced(
+      this.tracing,
+      `fetch ${req.method}`,
+      requestAttributes(req.method, req.url),
+      undefined,
+      (span) => dispatch(this, req, opts, undefined, span),
+    );
+  }
+
+  use(middleware) {
+    this.middleware.push(validateMiddleware(middleware));
+  }
+
+  async clearCache() {
+    if (this.cache) {
+      await this.cache.clear();
+    }
+  }
+
+  getHar() {
+    return (this.har || new HarRecorder()).toJSON();
+  }
+
+  clearHar() {
+    if (this.har) {
+      this.har.clear();
+    }
+  }
+
+  listCookies() {
+    return this.cookieJar ? this.cookieJar.listCookies() : [];
+  }
+
+  getCookies(url) {
+    return this.cookieJar ? this.cookieJar.getCookies(url) : [];
+  }
+
+  deleteCookies(url, name) {
+    return this.cookieJar ? this.cookieJar.deleteCookies(url, name) : 0;
+  }
+
+  clearCookies() {
+    if (this.cookieJar) {
+      this.cookieJar.clear();
+    }
+  }
+
+  serializeCookies(format = 'json') {
+    const jar = this.cookieJar || new CookieJar();
+    switch (format) {
+      case 'json':
+        return JSON.stringify(jar);
+      case 'netscape':
+        return jar.toNetscape();
+      default:
+        throw new TypeError(`unsupported cookie format: ${format}`);
+    }
+  }
+
+  deserializeCookies(data, format = 'json') {
+    if (!this.cookieJar) {
+      throw new TypeError('cookie jar is not enabled (see `cookieJar` context option)');
+    }
+    switch (format) {
+      case 'json':
+        this.cookieJar.fromJSON(data);
+        break;
+      case 'netscape':
+        this.cookieJar.fromNetscape(data);
+        break;
+      default:
+        throw new TypeError(`unsupported cookie format: ${format}`);
+    }
   }
 }
 
@@ -24,6 +24,9 @@ const { isPlainObject } = require('../common/utils');
 
 const DEFAULT_FOLLOW = 20;
 
+// https://fetch.spec.whatwg.org/#requestcache
+const CACHE_MODES = ['default', 'no-store', 'reload', 'no-cache', 'force-cache', 'only-if-cached'];
+
 const INTERNALS = Symbol('Request internals');
 
 /**
@@ -123,10 +126,16 @@ class Request extends Body {
       throw new TypeError(`'${redirect}' is not a valid redirect option`);
     }
 
+    const cache = init.cache || (req && req.cache) || 'default';
+    if (!CACHE_MODES.includes(cache)) {
+      throw new TypeError(`'${cache}' is not a valid cache option`);
+    }
+
     this[INTERNALS] = {
       init: { ...init },
       method,
       redirect,
+      cache,
       headers,
       parsedURL,
       signal,
@@ -175,6 +184,10 @@ class Request extends Body {
     return this[INTERNALS].signal;
   }
 
+  get cache() {
+    return this[INTERNALS].cache;
+  }
+
   /**
    * Clone this request
    *
@@ -196,6 +209,7 @@ Object.defineProperties(Request.prototype, {
   redirect: { enumerable: true },
   clone: { enumerable: true },
   signal: { enumerable: true },
+  cache: { enumerable: true },
 });
 
 module.exports = {
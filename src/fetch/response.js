@@ -17,6 +17,42 @@ const { Headers } = require('./headers');
 
 const INTERNALS = Symbol('Response internals');
 
+const duration = (start, end) => (start === undefined || end === undefined
+  ? undefined
+  : end - start);
+
+/**
+ * Derives the durations (ms) of the individual request phases from the recorded timestamps.
+ * Durations of phases which haven't completed (yet) are `undefined`.
+ *
+ * @param {Object} timings timestamps recorded by the core layer
+ * @returns {Object} phase durations
+ */
+const phases = (timings) => {
+  const {
+    startTime,
+    domainLookupStart,
+    domainLookupEnd,
+    connectStart,
+    secureConnectionStart,
+    connectEnd,
+    requestStart,
+    responseStart,
+    responseEnd,
+  } = timings;
+  return {
+    wait: duration(startTime, domainLookupStart),
+    dns: duration(domainLookupStart, domainLookupEnd),
+    tcp: duration(connectStart, secureConnectionStart !== undefined
+      ? secureConnectionStart
+      : connectEnd),
+    tls: secureConnectionStart === undefined ? 0 : duration(secureConnectionStart, connectEnd),
+    firstByte: duration(requestStart, responseStart),
+    download: duration(responseStart, responseEnd),
+    total: duration(startTime, responseEnd),
+  };
+};
+
 /**
  * Response class
  *
@@ -42,6 +78,10 @@ class Response extends Body {
       headers,
       httpVersion: init.httpVersion,
       counter: init.counter,
+      fromCache: !!init.fromCache,
+      attempts: init.attempts,
+      timings: init.timings,
+      connection: init.connection,
     };
   }
 
@@ -74,6 +114,30 @@ class Response extends Body {
     return this[INTERNALS].httpVersion;
   }
 
+  // extension
+  get fromCache() {
+    return this[INTERNALS].fromCache;
+  }
+
+  // extension: number of attempts made to send the request (see `retry` option)
+  get attempts() {
+    return this[INTERNALS].attempts;
+  }
+
+  // extension: high-resolution timestamps (and durations) of the request phases,
+  // `undefined` for synthetic and cached responses
+  get timings() {
+    const { timings } = this[INTERNALS];
+    return timings ? { ...timings, phases: phases(timings) } : undefined;
+  }
+
+  // extension: remote/local address, negotiated TLS parameters and peer certificate chain
+  // of the connection the response has been received on, `undefined` for synthetic and
+  // cached responses
+  get connection() {
+    return this[INTERNALS].connection;
+  }
+
   /**
    * Create a redirect response.
    *
@@ -0,0 +1,194 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+const debug = require('debug')('poly-fetch:retry');
+
+const { AbortError } = require('./errors');
+
+// retry option defaults
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3, // including the initial attempt
+  delay: 100, // (ms) delay before the first retry
+  maxDelay: 10 * 1000, // (ms)
+  factor: 2, // exponential backoff factor
+  jitter: true, // randomize delays ('full jitter')
+  retryAfter: true, // honor Retry-After response header
+  maxRetryAfter: 60 * 1000, // (ms) give up if the server asks us to wait longer
+  // idempotent methods (https://tools.ietf.org/html/rfc7231#section-4.2.2)
+  methods: ['GET', 'HEAD', 'OPTIONS', 'TRACE', 'PUT', 'DELETE'],
+  statusCodes: [408, 429, 500, 502, 503, 504],
+  errorCodes: [
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'ENETUNREACH', 'EAI_AGAIN',
+    'ERR_HTTP2_STREAM_ERROR', 'ERR_HTTP2_SESSION_ERROR', 'ERR_HTTP2_GOAWAY_SESSION',
+    'ERR_HTTP2_REQUEST_REFUSED',
+  ],
+};
+
+/**
+ * Normalizes a `retry` option value.
+ *
+ * @param {boolean|number|Object} [value] `false` (disabled), `true` (defaults),
+ *        the max. number of attempts or an object with custom options
+ * @returns {Object|null} normalized options or `null` if disabled
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null || value === false) {
+    return null;
+  }
+  if (value === true) {
+    return {};
+  }
+  if (typeof value === 'number') {
+    return { maxAttempts: value };
+  }
+  return { ...value };
+};
+
+/**
+ * Resolves the effective retry policy of a request.
+ *
+ * @param {boolean|number|Object} [ctxOption] `retry` context option
+ * @param {boolean|number|Object} [reqOption] `retry` request option (overrides `ctxOption`)
+ * @returns {Object|null} retry policy or `null` if retrying is disabled
+ */
+const retryPolicy = (ctxOption, reqOption) => {
+  const ctxOpts = normalize(ctxOption);
+  if (reqOption === false) {
+    return null;
+  }
+  const reqOpts = normalize(reqOption);
+  if (!ctxOpts && !reqOpts) {
+    return null;
+  }
+  return { ...DEFAULT_RETRY_OPTIONS, ...(ctxOpts || {}), ...(reqOpts || {}) };
+};
+
+/**
+ * Parses a `Retry-After` header value.
+ *
+ * @see https://tools.ietf.org/html/rfc7231#section-7.1.3
+ *
+ * @param {string} [value]
+ * @param {number} [now=Date.now()]
+ * @returns {number|undefined} delay in ms or undefined if the value is invalid
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) {
+    return undefined;
+  }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return +value * 1000;
+  }
+  const ts = Date.parse(value);
+  return Number.isNaN(ts) ? undefined : Math.max(0, ts - now);
+};
+
+/**
+ * Computes the backoff delay before the given retry.
+ *
+ * @param {Object} policy retry policy
+ * @param {number} retry 1-based number of the retry
+ * @returns {number} delay in ms
+ */
+const backoff = ({
+  delay, maxDelay, factor, jitter,
+}, retry) => {
+  const ms = Math.min(maxDelay, delay * (factor ** (retry - 1)));
+  return jitter ? Math.floor(Math.random() * ms) : ms;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(new AbortError('The operation was aborted.'));
+    return;
+  }
+  let onAbortSignal;
+  const timer = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbortSignal);
+    }
+    resolve();
+  }, ms);
+  if (signal) {
+    onAbortSignal = () => {
+      signal.removeEventListener('abort', onAbortSignal);
+      clearTimeout(timer);
+      reject(new AbortError('The operation was aborted.'));
+    };
+    signal.addEventListener('abort', onAbortSignal);
+  }
+});
+
+/**
+ * Sends a request, retrying it according to the given policy.
+ *
+ * @param {Object} policy retry policy (see `retryPolicy`)
+ * @param {Object} req request description
+ * @param {string} req.url
+ * @param {string} req.method
+ * @param {boolean} req.replayable true if the request body can be sent again
+ * @param {AbortSignal} [req.signal]
+ * @param {Function} attempt sends the request: `(n) => Promise<Object>`, `n` being the 1-based
+ *                   number of the attempt
+ * @returns {Promise<Object>} core response of the last attempt
+ */
+const retry = async (policy, {
+  url, method, replayable, signal,
+}, attempt) => {
+  const retryable = !!policy && replayable && policy.methods.includes(method);
+  for (let n = 1; ; n += 1) {
+    const last = !retryable || n >= policy.maxAttempts;
+    let resp;
+    let delay;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      resp = await attempt(n);
+    } catch (err) {
+      // (the `total` timeout covers all attempts)
+      if (last || !policy.errorCodes.includes(err.code) || err.phase === 'total') {
+        throw err;
+      }
+      delay = backoff(policy, n);
+      debug(`${method} ${url} failed with: ${err.message} (attempt #${n}), retrying in ${delay} ms`);
+    }
+    if (resp) {
+      if (last || !policy.statusCodes.includes(resp.statusCode)) {
+        return resp;
+      }
+      delay = backoff(policy, n);
+      if (policy.retryAfter) {
+        const retryAfter = parseRetryAfter(resp.headers['retry-after']);
+        if (retryAfter !== undefined) {
+          if (retryAfter > policy.maxRetryAfter) {
+            debug(`${method} ${url}: Retry-After (${retryAfter} ms) exceeds limit, giving up`);
+            return resp;
+          }
+          delay = retryAfter;
+        }
+      }
+      debug(`${method} ${url} responded with ${resp.statusCode} (attempt #${n}), retrying in ${delay} ms`);
+      // discard response body
+      resp.readable.resume();
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(delay, signal);
+  }
+};
+
+module.exports = {
+  retry,
+  retryPolicy,
+  parseRetryAfter,
+  backoff,
+};
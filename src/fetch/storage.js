@@ -0,0 +1,205 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable max-classes-per-file */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline, Readable } = require('stream');
+const { promisify } = require('util');
+
+const LRU = require('lru-cache');
+const getStream = require('get-stream');
+const debug = require('debug')('poly-fetch:storage');
+
+const streamPipeline = promisify(pipeline);
+
+// storage option defaults
+const MEMORY_STORAGE_SIZE = 500; // # of entries
+
+/**
+ * Cache storage interface. Custom implementations can be passed to the
+ * HTTP cache via the `cache.storage` context option.
+ *
+ * @typedef {Object} CacheStorage
+ * @property {(key: string) => Promise<{metadata: Object, body: Readable}|undefined>} get
+ *   returns the entry stored under `key` or `undefined`
+ * @property {(key: string, metadata: Object, body: Readable) => Promise<void>} put
+ *   stores an entry under `key`; resolves once `body` has been fully consumed and stored.
+ *   If `body` emits an error the entry must be discarded.
+ * @property {(key: string) => Promise<void>} delete removes the entry stored under `key`
+ * @property {() => Promise<string[]>} keys returns the keys of all stored entries
+ */
+
+/**
+ * In-memory LRU cache storage
+ *
+ * @implements {CacheStorage}
+ */
+class MemoryCacheStorage {
+  /**
+   * Constructs a new MemoryCacheStorage instance
+   *
+   * @constructor
+   * @param {Object} [options={}]
+   * @param {number} [options.size=500] maximum number of entries
+   */
+  constructor(options = {}) {
+    const { size = MEMORY_STORAGE_SIZE } = options;
+    this.entries = new LRU({ max: size });
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    return { metadata: entry.metadata, body: Readable.from(entry.body) };
+  }
+
+  async put(key, metadata, body) {
+    const buf = await getStream.buffer(body);
+    this.entries.set(key, { metadata, body: buf });
+  }
+
+  async delete(key) {
+    this.entries.del(key);
+  }
+
+  async keys() {
+    return this.entries.keys();
+  }
+}
+
+/**
+ * File system based cache storage. Entries survive process restarts.
+ *
+ * Every entry is stored as a pair of files named after the SHA-256 hash of its key:
+ * `<hash>.json` (key and metadata) and `<hash>.body` (body).
+ *
+ * @implements {CacheStorage}
+ */
+class FileSystemCacheStorage {
+  /**
+   * Constructs a new FileSystemCacheStorage instance
+   *
+   * @constructor
+   * @param {string} directory directory where entries are stored (created if necessary)
+   */
+  constructor(directory) {
+    if (typeof directory !== 'string') {
+      throw new TypeError('directory needs to be a string');
+    }
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  filePath(key, ext) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.${ext}`);
+  }
+
+  async get(key) {
+    let json;
+    try {
+      json = JSON.parse(await fs.promises.readFile(this.filePath(key, 'json'), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        debug(`failed to read metadata of ${key}: ${err.message}`);
+      }
+      return undefined;
+    }
+    /* istanbul ignore if */
+    if (json.key !== key) {
+      // hash collision
+      return undefined;
+    }
+    const body = fs.createReadStream(this.filePath(key, 'body'));
+    // wait until file has been opened in order to detect missing files
+    try {
+      await new Promise((resolve, reject) => {
+        body.once('open', resolve);
+        body.once('error', reject);
+      });
+    } catch (err) {
+      debug(`failed to read body of ${key}: ${err.message}`);
+      return undefined;
+    }
+    return { metadata: json.metadata, body };
+  }
+
+  async put(key, metadata, body) {
+    const bodyPath = this.filePath(key, 'body');
+    const jsonPath = this.filePath(key, 'json');
+    // write to temporary files first and rename them once they're complete
+    // (entries which are being read concurrently stay intact)
+    const suffix = `${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const tmpBodyPath = `${bodyPath}.${suffix}`;
+    const tmpJsonPath = `${jsonPath}.${suffix}`;
+    try {
+      await streamPipeline(body, fs.createWriteStream(tmpBodyPath));
+      await fs.promises.writeFile(tmpJsonPath, JSON.stringify({ key, metadata }));
+      await fs.promises.rename(tmpBodyPath, bodyPath);
+      await fs.promises.rename(tmpJsonPath, jsonPath);
+    } catch (err) {
+      await Promise.all([tmpBodyPath, tmpJsonPath].map(
+        (p) => fs.promises.unlink(p).catch(() => {}),
+      ));
+      throw err;
+    }
+  }
+
+  async delete(key) {
+    await Promise.all([this.filePath(key, 'json'), this.filePath(key, 'body')].map(
+      (p) => fs.promises.unlink(p).catch((err) => {
+        /* istanbul ignore if */
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }),
+    ));
+  }
+
+  async keys() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (err) {
+      /* istanbul ignore else */
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      /* istanbul ignore next */
+      throw err;
+    }
+    const keys = await Promise.all(names
+      .filter((name) => name.endsWith('.json'))
+      .map(async (name) => {
+        try {
+          const json = await fs.promises.readFile(path.join(this.directory, name), 'utf8');
+          return JSON.parse(json).key;
+        } catch (err) {
+          /* istanbul ignore next */
+          return undefined;
+        }
+      }));
+    return keys.filter((key) => typeof key === 'string');
+  }
+}
+
+module.exports = {
+  MemoryCacheStorage,
+  FileSystemCacheStorage,
+};
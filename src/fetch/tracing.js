@@ -0,0 +1,132 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+'use strict';
+
+// OpenTelemetry `SpanKind.CLIENT` and `SpanStatusCode.ERROR`
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Validates a `tracing` context option.
+ *
+ * The tracing integration is an object with a
+ * `startSpan(name, { kind, attributes }, parentSpan)` function which returns
+ * an OpenTelemetry compatible span (`setAttribute`, `setStatus`, `recordException`,
+ * `end`, `spanContext`).
+ *
+ * @param {Object} tracing
+ * @returns {Object}
+ * @throws {TypeError} if `tracing` has no `startSpan` function
+ */
+const validateTracing = (tracing) => {
+  if (!tracing || typeof tracing.startSpan !== 'function') {
+    throw new TypeError('tracing must provide a startSpan(name, options, parentSpan) function');
+  }
+  return tracing;
+};
+
+/**
+ * Returns the `traceparent` and `tracestate` headers of a span
+ * (W3C Trace Context, see https://www.w3.org/TR/trace-context/).
+ *
+ * @param {Object} span
+ * @returns {Object} headers (empty if the span has no valid span context)
+ */
+const traceContextHeaders = (span) => {
+  const spanContext = typeof span.spanContext === 'function' ? span.spanContext() : null;
+  if (!spanContext
+    || !/^[0-9a-f]{32}$/.test(spanContext.traceId) || /^0+$/.test(spanContext.traceId)
+    || !/^[0-9a-f]{16}$/.test(spanContext.spanId) || /^0+$/.test(spanContext.spanId)) {
+    return {};
+  }
+  const { traceId, spanId, traceFlags = 0 } = spanContext;
+  const flags = (traceFlags & 0xff).toString(16).padStart(2, '0'); // eslint-disable-line no-bitwise
+  const headers = { traceparent: `00-${traceId}-${spanId}-${flags}` };
+  let { traceState } = spanContext;
+  if (traceState && typeof traceState.serialize === 'function') {
+    // OpenTelemetry TraceState
+    traceState = traceState.serialize();
+  }
+  if (traceState) {
+    headers.tracestate = traceState;
+  }
+  return headers;
+};
+
+/**
+ * Returns the span attributes of a request (OpenTelemetry HTTP semantic conventions).
+ *
+ * @param {string} method
+ * @param {string} url
+ * @returns {Object}
+ */
+const requestAttributes = (method, url) => {
+  const { hostname, port, protocol } = new URL(url);
+  return {
+    'http.request.method': method,
+    'url.full': url,
+    'server.address': hostname,
+    'server.port': +port || (protocol === 'https:' ? 443 : 80),
+  };
+};
+
+/**
+ * Records the outcome of a request on a span and ends it.
+ *
+ * @param {Object} span
+ * @param {Object} [response] (core) response
+ * @param {Error} [err] error
+ */
+const endSpan = (span, response, err) => {
+  if (err) {
+    span.recordException(err);
+    span.setStatus({ code: SPAN_STATUS_ERROR, message: err.message });
+  } else {
+    const statusCode = response.statusCode || response.status;
+    span.setAttribute('http.response.status_code', statusCode);
+    if (statusCode >= 400) {
+      span.setStatus({ code: SPAN_STATUS_ERROR });
+    }
+  }
+  span.end();
+};
+
+/**
+ * Runs `fn` within a new client span.
+ *
+ * @param {Object} tracing tracing integration (see `validateTracing`)
+ * @param {string} name span name
+ * @param {Object} attributes span attributes
+ * @param {Object} [parent] parent span
+ * @param {Function} fn `async (span) => response`
+ * @returns {Promise<Object>} response
+ */
+const traced = async (tracing, name, attributes, parent, fn) => {
+  const span = tracing.startSpan(name, { kind: SPAN_KIND_CLIENT, attributes }, parent);
+  let response;
+  try {
+    response = await fn(span);
+  } catch (err) {
+    endSpan(span, null, err);
+    throw err;
+  }
+  endSpan(span, response);
+  return response;
+};
+
+module.exports = {
+  validateTracing,
+  traceContextHeaders,
+  requestAttributes,
+  traced,
+};
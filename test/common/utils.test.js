@@ -22,7 +22,7 @@ const zlib = require('zlib');
 const getStream = require('get-stream');
 const sinon = require('sinon');
 
-const { decodeStream, isPlainObject } = require('../../src/common/utils');
+const { decodeStream, isPlainObject, multiValueHeaders } = require('../../src/common/utils');
 
 const gzip = promisify(zlib.gzip);
 const deflate = promisify(zlib.deflate);
@@ -43,6 +43,24 @@ describe('isPlainObject Tests', () => {
   });
 });
 
+describe('multiValueHeaders Tests', () => {
+  it('multiValueHeaders works', () => {
+    assert.deepStrictEqual(multiValueHeaders([
+      ':status', '200',
+      'Set-Cookie', 'a=1',
+      'X-Multi', '1, 2',
+      'x-multi', '3',
+      'x-multi', '4',
+      'Content-Type', 'text/plain',
+      'content-type', 'text/html',
+    ]), {
+      'set-cookie': ['a=1'],
+      'x-multi': ['1, 2', '3', '4'],
+      'content-type': 'text/plain',
+    });
+  });
+});
+
 describe('decodeStream Tests', () => {
   it('decode gzip stream works', async () => {
     const encBuf = await gzip(TEST_DATA);
@@ -74,6 +92,16 @@ describe('decodeStream Tests', () => {
     assert.strictEqual(Buffer.compare(decBuf, TEST_DATA), 0);
   });
 
+  it('decode repeated content-encoding headers works', async () => {
+    const encBuf = await brotliCompress(await gzip(TEST_DATA));
+    const encStream = Readable.from(encBuf);
+    const onError = sinon.fake();
+    const decStream = decodeStream(200, { 'content-length': encBuf.length, 'content-encoding': ['gzip', 'identity, br'] }, encStream, onError);
+    assert(onError.notCalled);
+    const decBuf = await getStream.buffer(decStream);
+    assert.strictEqual(Buffer.compare(decBuf, TEST_DATA), 0);
+  });
+
   it('decode gzip stream reports error if stream is corrupted', async () => {
     let encBuf = await gzip(TEST_DATA);
     // truncate, i.e. corrupt the encoded data
@@ -0,0 +1,197 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const http2 = require('http2');
+const util = require('util');
+
+const pem = require('pem');
+
+const { context } = require('../../src/core');
+const { context: fetchContext, Response } = require('../../src/fetch');
+
+const createCertificate = util.promisify(pem.createCertificate);
+
+const consume = async (readable) => {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('Connection Info Tests', () => {
+  let keys;
+  let h2Server;
+  let httpServer;
+
+  before(async () => {
+    // generate key ourselves, pem fails to do so with OpenSSL 3.x
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+    keys = await createCertificate({
+      selfSigned: true, serviceKey: privateKey, clientKey: privateKey, commonName: 'localhost',
+    });
+    const handler = (req, res) => {
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      res.end(`${req.socket.remotePort}`);
+    };
+    h2Server = http2.createSecureServer({
+      key: keys.serviceKey, cert: keys.certificate, allowHTTP1: true,
+    }, handler);
+    httpServer = http.createServer(handler);
+    await Promise.all([h2Server, httpServer].map(
+      (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', resolve)),
+    ));
+  });
+
+  after(async () => {
+    await Promise.all([h2Server, httpServer].map(
+      (server) => new Promise((resolve) => server.close(resolve)),
+    ));
+  });
+
+  it('exposes TLS details of HTTP/2 sessions', async () => {
+    const { request, reset } = context({ rejectUnauthorized: false });
+    try {
+      const { port } = h2Server.address();
+      const resp = await request(`https://localhost:${port}/`);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      const clientPort = +(await consume(resp.readable));
+      const { connection } = resp;
+      assert.strictEqual(connection.remoteAddress, '127.0.0.1');
+      assert.strictEqual(connection.remotePort, port);
+      assert.strictEqual(connection.remoteFamily, 'IPv4');
+      assert.strictEqual(connection.localPort, clientPort);
+      const {
+        protocol, cipher, alpnProtocol, servername, authorized, authorizationError,
+        sessionReused, peerCertificates,
+      } = connection.tls;
+      assert.strictEqual(protocol, 'TLSv1.3');
+      assert.strictEqual(typeof cipher.name, 'string');
+      assert.strictEqual(alpnProtocol, 'h2');
+      assert.strictEqual(servername, 'localhost');
+      assert.strictEqual(authorized, false);
+      assert.strictEqual(authorizationError, 'DEPTH_ZERO_SELF_SIGNED_CERT');
+      assert.strictEqual(sessionReused, false);
+      // self-signed certificate: chain of one
+      assert.strictEqual(peerCertificates.length, 1);
+      const [cert] = peerCertificates;
+      assert.strictEqual(cert.subject.CN, 'localhost');
+      const der = Buffer.from(keys.certificate.replace(/-----[^-]+-----|\s/g, ''), 'base64');
+      const fingerprint = crypto.createHash('sha256').update(der).digest('hex').toUpperCase();
+      assert.strictEqual(cert.fingerprint256, fingerprint.match(/../g).join(':'));
+      const spki = crypto.createPublicKey(keys.certificate).export({ type: 'spki', format: 'der' });
+      assert.strictEqual(cert.pin, `sha256/${crypto.createHash('sha256').update(spki).digest('base64')}`);
+
+      // computed once, shared by all responses and frozen
+      assert.strictEqual(connection.tls.peerCertificates, peerCertificates);
+      [connection, connection.tls, cipher, peerCertificates, cert, cert.subject]
+        .forEach((obj) => assert(Object.isFrozen(obj)));
+      assert.throws(() => Object.assign(connection, { remotePort: 0 }), TypeError);
+      assert.throws(() => peerCertificates.pop(), TypeError);
+
+      // same session
+      const resp2 = await request(`https://localhost:${port}/`);
+      await consume(resp2.readable);
+      assert.strictEqual(resp2.connection, connection);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('exposes TLS details of HTTP/1.1 connections', async () => {
+    const { request, reset } = context({
+      rejectUnauthorized: false,
+      alpnProtocols: ['http/1.1'],
+      tls: { maxVersion: 'TLSv1.2' },
+    });
+    try {
+      const resp = await request(`https://localhost:${h2Server.address().port}/`);
+      assert.strictEqual(resp.httpVersion, '1.1');
+      const clientPort = +(await consume(resp.readable));
+      assert.strictEqual(resp.connection.localPort, clientPort);
+      assert.strictEqual(resp.connection.tls.protocol, 'TLSv1.2');
+      assert.strictEqual(resp.connection.tls.alpnProtocol, 'http/1.1');
+      assert.strictEqual(resp.connection.tls.peerCertificates.length, 1);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('computes the certificate details on demand', async () => {
+    const { request, reset } = context({ rejectUnauthorized: false });
+    try {
+      const resp = await request(`https://localhost:${h2Server.address().port}/`);
+      await consume(resp.readable);
+      const { tls } = resp.connection;
+      const { createHash } = crypto;
+      let hashed = 0;
+      crypto.createHash = (...args) => {
+        hashed += 1;
+        return createHash.apply(crypto, args);
+      };
+      try {
+        assert.strictEqual(tls.alpnProtocol, 'h2');
+        assert.strictEqual(hashed, 0);
+        assert.strictEqual(tls.peerCertificates[0].subject.CN, 'localhost');
+        assert.strictEqual(hashed, 1);
+      } finally {
+        crypto.createHash = createHash;
+      }
+    } finally {
+      await reset();
+    }
+  });
+
+  it('exposes socket details of unencrypted connections', async () => {
+    const { request, reset } = context();
+    try {
+      const { port } = httpServer.address();
+      const resp = await request(`http://127.0.0.1:${port}/`);
+      const clientPort = +(await consume(resp.readable));
+      assert.deepStrictEqual(resp.connection, {
+        remoteAddress: '127.0.0.1',
+        remotePort: port,
+        remoteFamily: 'IPv4',
+        localAddress: '127.0.0.1',
+        localPort: clientPort,
+        tls: undefined,
+      });
+    } finally {
+      await reset();
+    }
+  });
+
+  it('exposes connection details on fetch responses', async () => {
+    const { fetch, reset } = fetchContext({ rejectUnauthorized: false });
+    try {
+      const resp = await fetch(`https://localhost:${h2Server.address().port}/`);
+      assert.strictEqual(resp.connection.remoteAddress, '127.0.0.1');
+      assert.strictEqual(resp.connection.tls.alpnProtocol, 'h2');
+      assert.strictEqual(resp.clone().connection, resp.connection);
+      await resp.text();
+      assert.strictEqual(new Response('synthetic').connection, undefined);
+    } finally {
+      await reset();
+    }
+  });
+});
@@ -0,0 +1,229 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const http2 = require('http2');
+const util = require('util');
+
+let diagnosticsChannel;
+try {
+  // eslint-disable-next-line global-require
+  diagnosticsChannel = require('diagnostics_channel');
+} catch (err) {
+  // node < 14.17
+}
+
+const pem = require('pem');
+
+const { context } = require('../../src/core');
+
+const createCertificate = util.promisify(pem.createCertificate);
+
+const HELLO_WORLD = 'Hello, World!';
+
+const CHANNELS = [
+  'poly-fetch:request:start',
+  'poly-fetch:request:headers',
+  'poly-fetch:request:end',
+  'poly-fetch:request:error',
+  'poly-fetch:session:connect',
+  'poly-fetch:session:close',
+  'poly-fetch:session:goaway',
+  'poly-fetch:socket:reuse',
+  'poly-fetch:alpn:cache-hit',
+  'poly-fetch:alpn:cache-miss',
+];
+
+const consume = async (readable) => {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+(diagnosticsChannel ? describe : describe.skip)('Diagnostics Channel Tests', () => {
+  let httpServer;
+  let h2Server;
+  let events;
+  let subscribers;
+
+  before(async () => {
+    // generate key ourselves, pem fails to do so with OpenSSL 3.x
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+    const keys = await createCertificate({
+      selfSigned: true, serviceKey: privateKey, clientKey: privateKey,
+    });
+    const handler = (req, res) => {
+      if (req.url === '/reset') {
+        // HTTP/2: stream reset after the first chunk of the body
+        res.writeHead(200, { 'content-type': 'text/plain' });
+        res.write(HELLO_WORLD);
+        setTimeout(() => req.stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR), 50);
+        return;
+      }
+      if (req.url === '/goaway') {
+        // server shutting down
+        const { session } = req.stream;
+        session.goaway();
+        res.once('finish', () => session.close());
+      }
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      res.end(HELLO_WORLD);
+    };
+    httpServer = http.createServer(handler);
+    h2Server = http2.createSecureServer({
+      key: keys.serviceKey, cert: keys.certificate, allowHTTP1: true,
+    }, handler);
+    await Promise.all([httpServer, h2Server].map(
+      (server) => new Promise((resolve) => server.listen(0, resolve)),
+    ));
+  });
+
+  after(async () => {
+    await Promise.all([httpServer, h2Server].map(
+      (server) => new Promise((resolve) => server.close(resolve)),
+    ));
+  });
+
+  beforeEach(() => {
+    events = [];
+    subscribers = CHANNELS.map((name) => {
+      const onMessage = (message) => events.push({ name, message });
+      diagnosticsChannel.channel(name).subscribe(onMessage);
+      return { name, onMessage };
+    });
+  });
+
+  afterEach(() => {
+    subscribers.forEach(({ name, onMessage }) => {
+      diagnosticsChannel.channel(name).unsubscribe(onMessage);
+    });
+  });
+
+  const names = () => events.map(({ name }) => name.replace('poly-fetch:', ''));
+
+  it('publishes request and ALPN events', async () => {
+    const { request, reset } = context();
+    const url = `http://localhost:${httpServer.address().port}/hello`;
+    try {
+      let resp = await request(url);
+      assert.strictEqual(await consume(resp.readable), HELLO_WORLD);
+      resp = await request(url, { method: 'HEAD' });
+      await consume(resp.readable);
+    } finally {
+      await reset();
+    }
+    assert.deepStrictEqual(names(), [
+      'request:start', 'alpn:cache-miss', 'request:headers', 'request:end',
+      'request:start', 'alpn:cache-hit', 'request:headers', 'request:end',
+    ]);
+    const [start, miss, headers, end] = events.map(({ message }) => message);
+    assert.strictEqual(start.request.url, url);
+    assert.strictEqual(start.request.method, 'GET');
+    assert.strictEqual(miss.origin, `http://localhost:${httpServer.address().port}`);
+    // same request object for all events of a request
+    assert.strictEqual(headers.request, start.request);
+    assert.strictEqual(headers.response.statusCode, 200);
+    assert.strictEqual(end.response, headers.response);
+    assert.deepStrictEqual(events[5].message, { origin: miss.origin, protocol: 'http/1.1' });
+    assert.strictEqual(events[4].message.request.method, 'HEAD');
+  });
+
+  it('publishes HTTP/2 session and socket reuse events', async () => {
+    const { request, reset } = context({ rejectUnauthorized: false });
+    const origin = `https://localhost:${h2Server.address().port}`;
+    const closed = new Promise((resolve) => {
+      const onClose = () => {
+        diagnosticsChannel.channel('poly-fetch:session:close').unsubscribe(onClose);
+        resolve();
+      };
+      diagnosticsChannel.channel('poly-fetch:session:close').subscribe(onClose);
+    });
+    try {
+      let resp = await request(`${origin}/hello`);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      await consume(resp.readable);
+      resp = await request(`${origin}/goaway`);
+      await consume(resp.readable);
+      await closed;
+    } finally {
+      await reset();
+    }
+    // (node 14 closes the stream of the last request after its session)
+    assert.deepStrictEqual(names().filter((name) => name !== 'session:close'), [
+      'request:start', 'alpn:cache-miss', 'socket:reuse', 'session:connect',
+      'request:headers', 'request:end',
+      'request:start', 'alpn:cache-hit', 'session:goaway', 'request:headers', 'request:end',
+    ]);
+    assert(names().indexOf('session:close') > names().indexOf('session:goaway'));
+    const message = (name) => events.find((evt) => evt.name === `poly-fetch:${name}`).message;
+    assert.strictEqual(message('socket:reuse').origin, origin);
+    assert.strictEqual(message('socket:reuse').socket.alpnProtocol, 'h2');
+    assert.strictEqual(message('session:connect').origin, origin);
+    assert.strictEqual(message('session:close').session, message('session:connect').session);
+    assert.strictEqual(message('session:goaway').errorCode, 0);
+  });
+
+  it('publishes response body errors', async () => {
+    const { request, reset } = context({ rejectUnauthorized: false });
+    try {
+      const resp = await request(`https://localhost:${h2Server.address().port}/reset`);
+      await assert.rejects(consume(resp.readable), { code: 'ERR_HTTP2_STREAM_ERROR' });
+    } finally {
+      await reset();
+    }
+    const requestEvents = names().filter((name) => name.startsWith('request:'));
+    assert.deepStrictEqual(requestEvents, ['request:start', 'request:headers', 'request:error']);
+    const { message } = events.find(({ name }) => name === 'poly-fetch:request:error');
+    assert.strictEqual(message.response.statusCode, 200);
+    assert.strictEqual(message.error.code, 'ERR_HTTP2_STREAM_ERROR');
+  });
+
+  it('does not listen to errors of response bodies', async () => {
+    const { request, reset } = context();
+    try {
+      // (an aborted HTTP/1.1 response only emits an error if there are listeners)
+      const resp = await request(`http://localhost:${httpServer.address().port}/hello`);
+      assert.strictEqual(resp.readable.listenerCount('error'), 0);
+      await consume(resp.readable);
+    } finally {
+      await reset();
+    }
+    assert(names().includes('request:end'));
+  });
+
+  it('publishes request errors', async () => {
+    const { request, reset } = context();
+    const server = http.createServer();
+    await new Promise((resolve) => server.listen(0, resolve));
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    try {
+      await assert.rejects(request(`http://localhost:${port}/hello`), /ECONNREFUSED/);
+    } finally {
+      await reset();
+    }
+    assert.deepStrictEqual(names(), ['request:start', 'alpn:cache-miss', 'request:error']);
+    assert.strictEqual(events[2].message.error.code, 'ECONNREFUSED');
+  });
+});
@@ -0,0 +1,226 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const http2 = require('http2');
+const util = require('util');
+
+const pem = require('pem');
+
+const { context } = require('../../src/core');
+const { createDnsCache } = require('../../src/core/dns');
+
+const createCertificate = util.promisify(pem.createCertificate);
+
+const HELLO_WORLD = 'Hello, World!';
+
+const consume = async (readable) => {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+// resolves `*.test` host names to 127.0.0.1, counts the lookups
+const createLookup = () => {
+  const lookup = (hostname, options, cb) => {
+    lookup.calls.push(hostname);
+    setImmediate(() => {
+      if (!hostname.endsWith('.test')) {
+        const err = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+        err.code = 'ENOTFOUND';
+        cb(err);
+      } else if (options.all) {
+        cb(null, [{ address: '127.0.0.1', family: 4 }]);
+      } else {
+        cb(null, '127.0.0.1', 4);
+      }
+    });
+  };
+  lookup.calls = [];
+  return lookup;
+};
+
+describe('DNS Lookup Tests', () => {
+  let httpServer;
+  let h2Server;
+
+  before(async () => {
+    // generate key ourselves, pem fails to do so with OpenSSL 3.x
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+    const keys = await createCertificate({
+      selfSigned: true, serviceKey: privateKey, clientKey: privateKey,
+    });
+    const handler = (req, res) => {
+      if (req.url === '/info') {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({
+          host: req.headers.host || req.headers[':authority'],
+          servername: req.socket.servername,
+          localAddress: req.socket.localAddress,
+        }));
+        return;
+      }
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      res.end(HELLO_WORLD);
+    };
+    httpServer = http.createServer(handler);
+    h2Server = http2.createSecureServer({
+      key: keys.serviceKey, cert: keys.certificate, allowHTTP1: true,
+    }, handler);
+    await Promise.all([httpServer, h2Server].map(
+      (server) => new Promise((resolve) => server.listen(0, resolve)),
+    ));
+  });
+
+  after(async () => {
+    await Promise.all([httpServer, h2Server].map(
+      (server) => new Promise((resolve) => server.close(resolve)),
+    ));
+  });
+
+  it('uses custom lookup function for HTTP/1.1 and HTTP/2', async () => {
+    const lookup = createLookup();
+    const { request, reset } = context({ lookup, rejectUnauthorized: false });
+    try {
+      let resp = await request(`http://www.example.test:${httpServer.address().port}/`);
+      assert.strictEqual(await consume(resp.readable), HELLO_WORLD);
+      resp = await request(`https://www.example.test:${h2Server.address().port}/`);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      assert.strictEqual(await consume(resp.readable), HELLO_WORLD);
+      assert.deepStrictEqual(lookup.calls, ['www.example.test', 'www.example.test']);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('caches DNS lookups, flushes the cache on reset', async () => {
+    const lookup = createLookup();
+    const { request, reset } = context({ lookup, dnsCache: true });
+    const url = `http://cached.example.test:${httpServer.address().port}/`;
+    try {
+      for (let i = 0; i < 3; i += 1) {
+        // new connection per request
+        // eslint-disable-next-line no-await-in-loop
+        const resp = await request(url, { headers: { connection: 'close' } });
+        // eslint-disable-next-line no-await-in-loop
+        await consume(resp.readable);
+      }
+      assert.deepStrictEqual(lookup.calls, ['cached.example.test']);
+    } finally {
+      await reset();
+    }
+    const resp = await request(url, { headers: { connection: 'close' } });
+    await consume(resp.readable);
+    assert.strictEqual(lookup.calls.length, 2);
+    await reset();
+  });
+
+  it('supports dns.lookup signatures', async () => {
+    const lookup = createDnsCache({ lookup: createLookup() });
+    const resolve = (...args) => new Promise((res, rej) => {
+      lookup(...args, (err, ...result) => (err ? rej(err) : res(result)));
+    });
+    assert.deepStrictEqual(await resolve('a.test'), ['127.0.0.1', 4]);
+    assert.deepStrictEqual(await resolve('a.test', 4), ['127.0.0.1', 4]);
+    assert.deepStrictEqual(await resolve('a.test', { all: true }), [[{ address: '127.0.0.1', family: 4 }]]);
+    assert.deepStrictEqual(await resolve('a.test', { family: 'IPv4' }), ['127.0.0.1', 4]);
+  });
+
+  it('caches negative answers and coalesces concurrent lookups', async () => {
+    const underlying = createLookup();
+    const lookup = createDnsCache({ lookup: underlying, negativeTtl: 50 });
+    const resolve = (hostname) => new Promise((res, rej) => {
+      lookup(hostname, {}, (err, address) => (err ? rej(err) : res(address)));
+    });
+    const results = await Promise.all([resolve('b.test'), resolve('b.test')]);
+    assert.deepStrictEqual(results, ['127.0.0.1', '127.0.0.1']);
+    assert.deepStrictEqual(underlying.calls, ['b.test']);
+
+    await assert.rejects(resolve('unknown.invalid'), { code: 'ENOTFOUND' });
+    await assert.rejects(resolve('unknown.invalid'), { code: 'ENOTFOUND' });
+    assert.deepStrictEqual(underlying.calls, ['b.test', 'unknown.invalid']);
+    // negative answer expired
+    await new Promise((res) => setTimeout(res, 60));
+    await assert.rejects(resolve('unknown.invalid'), { code: 'ENOTFOUND' });
+    assert.strictEqual(underlying.calls.length, 3);
+
+    lookup.clear();
+    await resolve('b.test');
+    assert.strictEqual(underlying.calls.length, 4);
+  });
+  it('supports static host resolution overrides', async () => {
+    const httpPort = httpServer.address().port;
+    const h2Port = h2Server.address().port;
+    const { request, reset } = context({
+      rejectUnauthorized: false,
+      resolve: {
+        [`api.example.test:${httpPort}`]: '127.0.0.2',
+        [`API.example.test:${h2Port}`]: ['127.0.0.2'],
+      },
+    });
+    try {
+      let resp = await request(`http://api.example.test:${httpPort}/info`);
+      let info = JSON.parse(await consume(resp.readable));
+      assert.strictEqual(info.host, `api.example.test:${httpPort}`);
+      assert(info.localAddress.endsWith('127.0.0.2'));
+
+      resp = await request(`https://api.example.test:${h2Port}/info`);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      info = JSON.parse(await consume(resp.readable));
+      // SNI and Host header are kept intact
+      assert.strictEqual(info.host, `api.example.test:${h2Port}`);
+      assert.strictEqual(info.servername, 'api.example.test');
+      assert(info.localAddress.endsWith('127.0.0.2'));
+
+      // other ports are resolved as usual
+      await assert.rejects(request(`http://api.example.test:${h2Port + 1}/info`), /ENOTFOUND|EAI_AGAIN/);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('doesn\'t share connections with non-overridden traffic', async () => {
+    const { port } = httpServer.address();
+    const url = `http://shared.example.test:${port}/info`;
+    const normal = context({ lookup: createLookup() });
+    const overridden = context({ resolve: { [`shared.example.test:${port}`]: '127.0.0.2' } });
+    try {
+      let resp = await normal.request(url);
+      let info = JSON.parse(await consume(resp.readable));
+      assert(info.localAddress.endsWith('127.0.0.1'));
+      resp = await overridden.request(url);
+      info = JSON.parse(await consume(resp.readable));
+      assert(info.localAddress.endsWith('127.0.0.2'));
+    } finally {
+      await normal.reset();
+      await overridden.reset();
+    }
+  });
+
+  it('rejects invalid resolve entries', () => {
+    assert.throws(() => context({ resolve: { 'example.test': '127.0.0.1' } }), TypeError);
+    assert.throws(() => context({ resolve: { 'example.test:443': 'localhost' } }), TypeError);
+    assert.throws(() => context({ resolve: { 'example.test:443': [] } }), TypeError);
+  });
+});
@@ -16,7 +16,9 @@
 
 const assert = require('assert');
 
-const { RequestAbortedError } = require('../../src/core/errors');
+const {
+  RequestAbortedError, RequestRefusedError, RequestTimeoutError,
+} = require('../../src/core/errors');
 
 describe('core errors Tests', () => {
   it('RequestAbortedError', () => {
@@ -26,4 +28,25 @@ describe('core errors Tests', () => {
     assert.strictEqual(err.name, 'RequestAbortedError');
     assert.strictEqual(Object.prototype.toString.call(err), '[object RequestAbortedError]');
   });
+
+  it('RequestRefusedError', () => {
+    const err = new RequestRefusedError('test', 0, 3);
+    assert(err instanceof Error);
+    assert.strictEqual(err.message, 'test');
+    assert.strictEqual(err.code, 'ERR_HTTP2_REQUEST_REFUSED');
+    assert.strictEqual(err.errorCode, 0);
+    assert.strictEqual(err.lastStreamID, 3);
+    assert.strictEqual(err.name, 'RequestRefusedError');
+    assert.strictEqual(Object.prototype.toString.call(err), '[object RequestRefusedError]');
+  });
+
+  it('RequestTimeoutError', () => {
+    const err = new RequestTimeoutError('test', 'connect');
+    assert(err instanceof Error);
+    assert.strictEqual(err.message, 'test');
+    assert.strictEqual(err.code, 'ETIMEDOUT');
+    assert.strictEqual(err.phase, 'connect');
+    assert.strictEqual(err.name, 'RequestTimeoutError');
+    assert.strictEqual(Object.prototype.toString.call(err), '[object RequestTimeoutError]');
+  });
 });
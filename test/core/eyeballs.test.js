@@ -0,0 +1,265 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const http2 = require('http2');
+const net = require('net');
+const util = require('util');
+
+const pem = require('pem');
+
+const { context } = require('../../src/core');
+const { interleave } = require('../../src/core/eyeballs');
+
+const createCertificate = util.promisify(pem.createCertificate);
+
+const consume = async (readable) => {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+// resolves every host name to ::1 (preferred) and 127.0.0.1, records the lookup options
+const createLookup = () => {
+  const lookup = (hostname, options, cb) => {
+    lookup.calls.push(options);
+    const addresses = [{ address: '::1', family: 6 }, { address: '127.0.0.1', family: 4 }]
+      .filter(({ family }) => !options.family || family === options.family);
+    setImmediate(() => cb(null, addresses));
+  };
+  lookup.calls = [];
+  return lookup;
+};
+
+// accepts TCP connections on ::1 but never responds (i.e. TLS handshake never completes)
+const createBlackhole = (port) => new Promise((resolve, reject) => {
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    // discard the TLS client hello
+    socket.resume();
+    socket.once('close', () => sockets.delete(socket));
+  });
+  server.sockets = sockets;
+  server.accepted = 0;
+  server.on('connection', () => {
+    server.accepted += 1;
+  });
+  server.once('error', reject);
+  server.listen(port, '::1', () => resolve(server));
+});
+
+const closeBlackhole = (server) => new Promise((resolve) => {
+  server.sockets.forEach((socket) => socket.destroy());
+  server.close(resolve);
+});
+
+describe('Happy Eyeballs Tests', () => {
+  let h2Server;
+  let h2cServer;
+  let httpServer;
+
+  before(async () => {
+    // generate key ourselves, pem fails to do so with OpenSSL 3.x
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+    const keys = await createCertificate({
+      selfSigned: true, serviceKey: privateKey, clientKey: privateKey,
+    });
+    const handler = (req, res) => {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({
+        localAddress: req.socket.localAddress,
+        remoteAddress: req.socket.remoteAddress,
+      }));
+    };
+    h2Server = http2.createSecureServer({
+      key: keys.serviceKey, cert: keys.certificate, allowHTTP1: true,
+    }, handler);
+    h2cServer = http2.createServer(handler);
+    httpServer = http.createServer(handler);
+    await Promise.all([h2Server, h2cServer, httpServer].map(
+      (server) => new Promise((resolve) => server.listen(0, '127.0.0.1', resolve)),
+    ));
+  });
+
+  after(async () => {
+    await Promise.all([h2Server, h2cServer, httpServer].map(
+      (server) => new Promise((resolve) => server.close(resolve)),
+    ));
+  });
+
+  it('interleaves address families', () => {
+    const addresses = interleave([
+      { address: '::1', family: 6 },
+      { address: '::2', family: 6 },
+      { address: '::3', family: 6 },
+      { address: '127.0.0.1', family: 4 },
+      { address: '127.0.0.2', family: 4 },
+    ]);
+    assert.deepStrictEqual(
+      addresses.map(({ address }) => address),
+      ['::1', '127.0.0.1', '::2', '127.0.0.2', '::3'],
+    );
+    assert.deepStrictEqual(interleave([]), []);
+  });
+
+  it('falls back to IPv4 if the TLS handshake over IPv6 stalls', async () => {
+    const { port } = h2Server.address();
+    const blackhole = await createBlackhole(port);
+    const lookup = createLookup();
+    const { request, reset } = context({
+      lookup, rejectUnauthorized: false, connectAttemptDelay: 50,
+    });
+    try {
+      const resp = await request(`https://eyeballs.test:${port}/`);
+      assert.strictEqual(resp.statusCode, 200);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      const { localAddress } = JSON.parse(await consume(resp.readable));
+      assert.strictEqual(localAddress, '127.0.0.1');
+      // IPv6 has been attempted first, the pending attempt has been discarded
+      assert.strictEqual(blackhole.accepted, 1);
+      assert.strictEqual(lookup.calls[0].all, true);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.strictEqual(blackhole.sockets.size, 0);
+    } finally {
+      await reset();
+      await closeBlackhole(blackhole);
+    }
+  });
+
+  it('starts the next attempt right away if an attempt fails', async () => {
+    // nothing listens on ::1 (connection refused)
+    const { port } = h2cServer.address();
+    const { request, reset } = context({ lookup: createLookup(), connectAttemptDelay: 10000 });
+    try {
+      const start = Date.now();
+      const resp = await request(`http2://eyeballs.test:${port}/`);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      const { localAddress } = JSON.parse(await consume(resp.readable));
+      assert.strictEqual(localAddress, '127.0.0.1');
+      assert(Date.now() - start < 1000);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('races connection attempts for http: (HTTP/1.1) requests', async () => {
+    // nothing listens on ::1 (connection refused)
+    const { port } = httpServer.address();
+    const lookup = createLookup();
+    const { request, reset } = context({ lookup, connectAttemptDelay: 10000 });
+    try {
+      const start = Date.now();
+      const resp = await request(`http://eyeballs.test:${port}/`);
+      assert.strictEqual(resp.httpVersion, '1.1');
+      const { localAddress } = JSON.parse(await consume(resp.readable));
+      assert.strictEqual(localAddress, '127.0.0.1');
+      assert(Date.now() - start < 1000);
+      assert.strictEqual(lookup.calls[0].all, true);
+      assert.strictEqual(resp.timings.reusedConnection, false);
+      assert(resp.timings.connectEnd >= resp.timings.connectStart);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('races connection attempts of the HTTP/1.1 agent', async () => {
+    const { port } = h2Server.address();
+    const blackhole = await createBlackhole(port);
+    const { request, reset } = context({
+      lookup: createLookup(),
+      alpnProtocols: ['http/1.1'],
+      connectAttemptDelay: 50,
+      h1: { keepAlive: true, rejectUnauthorized: false },
+    });
+    try {
+      // 1st request: ALPN socket, 2nd request: new agent connection
+      for (let i = 0; i < 2; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        const resp = await request(`https://eyeballs.test:${port}/`, { headers: { connection: 'close' } });
+        assert.strictEqual(resp.httpVersion, '1.1');
+        // eslint-disable-next-line no-await-in-loop
+        const { localAddress } = JSON.parse(await consume(resp.readable));
+        assert.strictEqual(localAddress, '127.0.0.1');
+        assert(resp.timings.secureConnectionStart >= resp.timings.connectStart);
+      }
+      // both connections attempted IPv6 first
+      assert.strictEqual(blackhole.accepted, 2);
+    } finally {
+      await reset();
+      await closeBlackhole(blackhole);
+    }
+  });
+
+  it('rejects with the last error if all attempts fail', async () => {
+    const { request, reset } = context({ lookup: createLookup() });
+    const server = net.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    try {
+      await assert.rejects(
+        request(`https://eyeballs.test:${port}/`),
+        { code: 'ECONNREFUSED', address: '127.0.0.1' },
+      );
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports family option', async () => {
+    const { port } = h2Server.address();
+    const blackhole = await createBlackhole(port);
+    const lookup = createLookup();
+    const { request, reset } = context({ lookup, rejectUnauthorized: false, family: 4 });
+    try {
+      const resp = await request(`https://eyeballs.test:${port}/`);
+      assert.strictEqual(resp.statusCode, 200);
+      await consume(resp.readable);
+      assert.strictEqual(lookup.calls[0].family, 4);
+      assert.strictEqual(blackhole.accepted, 0);
+    } finally {
+      await reset();
+      await closeBlackhole(blackhole);
+    }
+  });
+
+  it('rejects invalid family option', () => {
+    assert.throws(() => context({ family: 5 }), TypeError);
+  });
+
+  it('supports localAddress option', async () => {
+    const { request, reset } = context({
+      rejectUnauthorized: false, localAddress: '127.0.0.2',
+    });
+    try {
+      let resp = await request(`https://127.0.0.1:${h2Server.address().port}/`);
+      assert.strictEqual(JSON.parse(await consume(resp.readable)).remoteAddress, '127.0.0.2');
+      resp = await request(`http2://127.0.0.1:${h2cServer.address().port}/`);
+      assert.strictEqual(JSON.parse(await consume(resp.readable)).remoteAddress, '127.0.0.2');
+    } finally {
+      await reset();
+    }
+  });
+});
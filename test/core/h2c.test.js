@@ -16,7 +16,7 @@
 
 const assert = require('assert');
 const http2 = require('http2');
-const { finished } = require('stream');
+const { finished, Readable } = require('stream');
 const { promisify } = require('util');
 
 const isStream = require('is-stream');
@@ -24,7 +24,7 @@ const { WritableStreamBuffer } = require('stream-buffers');
 
 const streamFinished = promisify(finished);
 
-const { request, reset } = require('../../src/core');
+const { request, reset, RequestRefusedError } = require('../../src/core');
 
 const readStream = async (stream) => {
   const out = new WritableStreamBuffer();
@@ -39,6 +39,7 @@ class H2Server {
   constructor() {
     this.server = null;
     this.sessions = new Set();
+    this.goaways = 0;
   }
 
   async start(port = 0) {
@@ -62,6 +63,20 @@ class H2Server {
           stream.end(HELLO_WORLD);
           break;
 
+        case '/goaway':
+          if (this.goaways > 0) {
+            // refuse request (e.g. server shutting down)
+            this.goaways -= 1;
+            stream.on('error', () => {});
+            stream.session.goaway(http2.constants.NGHTTP2_NO_ERROR);
+            stream.close(http2.constants.NGHTTP2_REFUSED_STREAM);
+            stream.session.close();
+          } else {
+            stream.respond({ ':status': 200 });
+            stream.end(HELLO_WORLD);
+          }
+          break;
+
         default:
           stream.respond({ ':status': 404 });
           stream.end('Not found!');
@@ -120,4 +135,21 @@ describe('unencrypted HTTP/2 (h2c)-specific Core Tests', () => {
     const buf = await readStream(resp.readable);
     assert.strictEqual(buf.toString(), HELLO_WORLD);
   });
+
+  it('transparently re-issues requests refused by GOAWAY', async () => {
+    server.goaways = 2;
+    const resp = await request(`${origin}/goaway`);
+    assert.strictEqual(resp.statusCode, 200);
+    assert.strictEqual(server.goaways, 0);
+    const buf = await readStream(resp.readable);
+    assert.strictEqual(buf.toString(), HELLO_WORLD);
+  });
+
+  it('rejects refused requests which can\'t be re-issued', async () => {
+    server.goaways = 1;
+    await assert.rejects(
+      request(`${origin}/goaway`, { method: 'POST', body: Readable.from('foo') }),
+      (err) => err instanceof RequestRefusedError && err.errorCode === 0,
+    );
+  });
 });
@@ -0,0 +1,464 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const {
+  context, FetchError, FileSystemCacheStorage, MemoryCacheStorage,
+} = require('../../src/fetch');
+const { parseCacheControl, freshnessLifetime, currentAge } = require('../../src/fetch/cache');
+
+// (`fs.promises.rm()` requires node >= 14.14)
+const removeDir = (dir) => (fs.promises.rm
+  ? fs.promises.rm(dir, { recursive: true })
+  : fs.promises.rmdir(dir, { recursive: true }));
+
+const HELLO_WORLD = 'Hello, World!';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('HTTP Cache Tests', () => {
+  let server;
+  let origin;
+  let hits;
+  let lastHeaders;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits += 1;
+      lastHeaders = req.headers;
+      const { pathname } = new URL(req.url, 'http://localhost');
+      switch (pathname) {
+        case '/max-age':
+          res.writeHead(200, { 'cache-control': 'max-age=60' });
+          res.end(`${HELLO_WORLD} #${hits}`);
+          break;
+        case '/no-store':
+          res.writeHead(200, { 'cache-control': 'no-store, max-age=60' });
+          res.end(`${HELLO_WORLD} #${hits}`);
+          break;
+        case '/vary':
+          res.writeHead(200, { 'cache-control': 'max-age=60', vary: 'Accept-Language' });
+          res.end(`${req.headers['accept-language']} #${hits}`);
+          break;
+        case '/repeated-headers':
+          // repeated `Vary` and `Content-Encoding` headers (body is gzipped twice)
+          res.setHeader('cache-control', 'max-age=60');
+          res.setHeader('vary', ['Accept-Language', 'Accept-Encoding']);
+          res.setHeader('content-encoding', ['gzip', 'gzip']);
+          res.end(zlib.gzipSync(zlib.gzipSync(`${req.headers['accept-language']} #${hits}`)));
+          break;
+        case '/etag':
+          if (req.headers['if-none-match'] === '"v1"') {
+            res.writeHead(304, { etag: '"v1"', 'cache-control': 'no-cache' });
+            res.end();
+          } else {
+            res.writeHead(200, { etag: '"v1"', 'cache-control': 'no-cache' });
+            res.end(`${HELLO_WORLD} #${hits}`);
+          }
+          break;
+        case '/max-age-etag':
+          if (req.headers['if-none-match'] === '"v1"') {
+            res.writeHead(304, { etag: '"v1"', 'cache-control': 'max-age=60' });
+            res.end();
+          } else {
+            res.writeHead(200, { etag: '"v1"', 'cache-control': 'max-age=60' });
+            res.end(`${HELLO_WORLD} #${hits}`);
+          }
+          break;
+        case '/large': {
+          // 4 KB body, with or without content-length
+          const body = `${'x'.repeat(4095)}${hits}`;
+          res.setHeader('cache-control', 'max-age=60');
+          if (new URL(req.url, 'http://localhost').searchParams.has('chunked')) {
+            res.write(body.substring(0, 2048));
+            res.end(body.substring(2048));
+          } else {
+            res.setHeader('content-length', body.length);
+            res.end(body);
+          }
+          break;
+        }
+        case '/heuristic':
+          res.writeHead(200, { 'last-modified': new Date(Date.now() - 24 * 60 * 60 * 1000).toUTCString() });
+          res.end(`${HELLO_WORLD} #${hits}`);
+          break;
+        default:
+          res.writeHead(404);
+          res.end('Not found!');
+      }
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    origin = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    hits = 0;
+  });
+
+  it('is disabled by default', async () => {
+    const { fetch, reset } = context();
+    try {
+      let resp = await fetch(`${origin}/max-age`);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+      resp = await fetch(`${origin}/max-age`);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #2`);
+      assert.strictEqual(resp.fromCache, false);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('serves fresh responses from the cache', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      let resp = await fetch(`${origin}/max-age`);
+      assert.strictEqual(resp.fromCache, false);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+      resp = await fetch(`${origin}/max-age`);
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.fromCache, true);
+      assert.strictEqual(resp.headers.get('age'), '0');
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+      assert.strictEqual(hits, 1);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports heuristic freshness', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/heuristic`)).text();
+      const resp = await fetch(`${origin}/heuristic`);
+      assert.strictEqual(resp.fromCache, true);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('does not store responses with no-store', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/no-store`)).text();
+      const resp = await fetch(`${origin}/no-store`);
+      assert.strictEqual(resp.fromCache, false);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #2`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('honors request cache-control: no-cache', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/max-age`)).text();
+      const resp = await fetch(`${origin}/max-age`, { headers: { 'cache-control': 'no-cache' } });
+      assert.strictEqual(resp.fromCache, false);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #2`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('honors Vary', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      let resp = await fetch(`${origin}/vary`, { headers: { 'accept-language': 'en' } });
+      assert.strictEqual(await resp.text(), 'en #1');
+      resp = await fetch(`${origin}/vary`, { headers: { 'accept-language': 'en' } });
+      assert.strictEqual(resp.fromCache, true);
+      assert.strictEqual(await resp.text(), 'en #1');
+      resp = await fetch(`${origin}/vary`, { headers: { 'accept-language': 'de' } });
+      assert.strictEqual(resp.fromCache, false);
+      assert.strictEqual(await resp.text(), 'de #2');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports repeated Vary and Content-Encoding headers', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      const url = `${origin}/repeated-headers`;
+      let resp = await fetch(url, { headers: { 'accept-language': 'en' } });
+      assert.strictEqual(await resp.text(), 'en #1');
+      resp = await fetch(url, { headers: { 'accept-language': 'en' } });
+      assert.strictEqual(resp.fromCache, true);
+      assert.strictEqual(await resp.text(), 'en #1');
+      resp = await fetch(url, { headers: { 'accept-language': 'de' } });
+      assert.strictEqual(resp.fromCache, false);
+      assert.strictEqual(await resp.text(), 'de #2');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('revalidates stale responses', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/etag`)).text();
+      const resp = await fetch(`${origin}/etag`);
+      assert.strictEqual(hits, 2);
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.fromCache, true);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('unsafe methods invalidate stored responses', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/max-age`)).text();
+      await (await fetch(`${origin}/max-age`, { method: 'POST', body: 'foo' })).text();
+      const resp = await fetch(`${origin}/max-age`);
+      assert.strictEqual(resp.fromCache, false);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #3`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('clearCache() removes stored responses', async () => {
+    const { fetch, reset, clearCache } = context({ cache: { size: 10 } });
+    try {
+      await (await fetch(`${origin}/max-age`)).text();
+      await clearCache();
+      const resp = await fetch(`${origin}/max-age`);
+      assert.strictEqual(resp.fromCache, false);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  });
+
+  it('clearCache() waits for the storage', async () => {
+    const storage = new MemoryCacheStorage();
+    const { delete: remove } = storage;
+    let failure;
+    storage.delete = async (key) => {
+      await sleep(20);
+      if (failure) {
+        throw failure;
+      }
+      return remove.call(storage, key);
+    };
+    const { fetch, reset, clearCache } = context({ cache: { storage } });
+    try {
+      await (await fetch(`${origin}/max-age`)).text();
+      await clearCache();
+      assert.deepStrictEqual(await storage.keys(), []);
+      await (await fetch(`${origin}/max-age`)).text();
+      failure = new Error('storage failure');
+      await assert.rejects(clearCache(), failure);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('does not store responses exceeding maxEntrySize', async () => {
+    const { fetch, reset } = context({ cache: { maxEntrySize: 1024 } });
+    try {
+      for (const url of [`${origin}/large`, `${origin}/large?chunked`]) {
+        hits = 0;
+        for (let i = 1; i <= 2; i += 1) {
+          // eslint-disable-next-line no-await-in-loop
+          const resp = await fetch(url);
+          assert.strictEqual(resp.fromCache, false);
+          // eslint-disable-next-line no-await-in-loop
+          assert.strictEqual(await resp.text(), `${'x'.repeat(4095)}${i}`);
+          // eslint-disable-next-line no-await-in-loop
+          await sleep(10);
+        }
+      }
+      // smaller responses are stored
+      await (await fetch(`${origin}/max-age`)).text();
+      await sleep(10);
+      assert.strictEqual((await fetch(`${origin}/max-age`)).fromCache, true);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports custom storage', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'poly-fetch-'));
+    try {
+      let ctx = context({ cache: { storage: new FileSystemCacheStorage(dir) } });
+      await (await ctx.fetch(`${origin}/max-age`)).text();
+      await ctx.reset();
+      // give storage a chance to finish writing
+      await sleep(50);
+      // simulate process restart
+      ctx = context({ cache: { storage: new FileSystemCacheStorage(dir) } });
+      const resp = await ctx.fetch(`${origin}/max-age`);
+      assert.strictEqual(resp.fromCache, true);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+      await ctx.reset();
+    } finally {
+      await removeDir(dir);
+    }
+  });
+
+  it('supports cache mode \'no-store\'', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/max-age`)).text();
+      let resp = await fetch(`${origin}/max-age`, { cache: 'no-store' });
+      assert.strictEqual(resp.fromCache, false);
+      assert.strictEqual(lastHeaders['cache-control'], 'no-cache');
+      assert.strictEqual(lastHeaders.pragma, 'no-cache');
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #2`);
+      // response has not been stored
+      resp = await fetch(`${origin}/max-age`);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports cache mode \'reload\'', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/max-age`)).text();
+      let resp = await fetch(`${origin}/max-age`, { cache: 'reload' });
+      assert.strictEqual(resp.fromCache, false);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #2`);
+      // response has been stored
+      resp = await fetch(`${origin}/max-age`);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #2`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports cache mode \'no-cache\'', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/max-age`)).text();
+      const resp = await fetch(`${origin}/max-age`, { cache: 'no-cache' });
+      assert.strictEqual(lastHeaders['cache-control'], 'max-age=0');
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #2`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('cache mode \'no-cache\' revalidates despite request cache-control', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/max-age-etag`)).text();
+      const resp = await fetch(`${origin}/max-age-etag`, {
+        cache: 'no-cache',
+        headers: { 'cache-control': 'max-stale=3600' },
+      });
+      assert.strictEqual(hits, 2);
+      assert.strictEqual(lastHeaders['if-none-match'], '"v1"');
+      assert.strictEqual(lastHeaders['cache-control'], 'max-stale=3600');
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports cache mode \'force-cache\'', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await (await fetch(`${origin}/etag`, { cache: 'force-cache' })).text();
+      // stale response is served without revalidation
+      const resp = await fetch(`${origin}/etag`, { cache: 'force-cache' });
+      assert.strictEqual(resp.fromCache, true);
+      assert.strictEqual(hits, 1);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports cache mode \'only-if-cached\'', async () => {
+    const { fetch, reset } = context({ cache: true });
+    try {
+      await assert.rejects(
+        fetch(`${origin}/etag`, { cache: 'only-if-cached' }),
+        (err) => err instanceof FetchError && err.type === 'only-if-cached',
+      );
+      assert.strictEqual(hits, 0);
+      await (await fetch(`${origin}/etag`)).text();
+      const resp = await fetch(`${origin}/etag`, { cache: 'only-if-cached' });
+      assert.strictEqual(resp.fromCache, true);
+      assert.strictEqual(hits, 1);
+      assert.strictEqual(await resp.text(), `${HELLO_WORLD} #1`);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('cache mode \'only-if-cached\' rejects if cache is disabled', async () => {
+    const { fetch, reset } = context();
+    try {
+      await assert.rejects(
+        fetch(`${origin}/max-age`, { cache: 'only-if-cached' }),
+        (err) => err instanceof FetchError && err.type === 'only-if-cached',
+      );
+    } finally {
+      await reset();
+    }
+  });
+
+  it('parseCacheControl works', () => {
+    assert.deepStrictEqual(
+      parseCacheControl('public, Max-Age=60, no-cache="set-cookie"'),
+      { public: true, 'max-age': '60', 'no-cache': 'set-cookie' },
+    );
+    assert.deepStrictEqual(parseCacheControl(undefined), {});
+  });
+
+  it('freshnessLifetime works', () => {
+    const now = Date.now();
+    const date = new Date(now).toUTCString();
+    const entry = (headers) => ({
+      statusCode: 200, headers: { date, ...headers }, requestTime: now, responseTime: now,
+    });
+    assert.strictEqual(freshnessLifetime(entry({ 'cache-control': 'max-age=10', expires: '0' }), 0.1), 10000);
+    assert.strictEqual(freshnessLifetime(entry({ expires: '0' }), 0.1), 0);
+    const expires = new Date(now + 20000).toUTCString();
+    assert.strictEqual(freshnessLifetime(entry({ expires }), 0.1), 20000);
+    const lastModified = new Date(now - 100000).toUTCString();
+    assert.strictEqual(freshnessLifetime(entry({ 'last-modified': lastModified }), 0.1), 10000);
+    assert.strictEqual(freshnessLifetime(entry({}), 0.1), 0);
+  });
+
+  it('currentAge works', () => {
+    const now = Date.now();
+    const entry = {
+      headers: { date: new Date(now).toUTCString(), age: '30' },
+      requestTime: now,
+      responseTime: now,
+    };
+    assert.strictEqual(currentAge(entry, now + 10000), 40000);
+  });
+});
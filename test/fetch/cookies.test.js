@@ -0,0 +1,398 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const http2 = require('http2');
+
+const { context, CookieJar } = require('../../src/fetch');
+const { parseCookieDate, parseSetCookie } = require('../../src/fetch/cookies');
+
+// request handler shared by the HTTP/1.1 and the HTTP/2 (h2c) test server
+const handler = (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  switch (pathname) {
+    case '/set':
+      res.writeHead(200, { 'set-cookie': searchParams.getAll('cookie') });
+      res.end();
+      break;
+    case '/redirect':
+      res.writeHead(302, {
+        'set-cookie': searchParams.getAll('cookie'),
+        location: searchParams.get('to'),
+      });
+      res.end();
+      break;
+    case '/echo':
+      res.writeHead(200);
+      res.end(req.headers.cookie || '');
+      break;
+    default:
+      res.writeHead(404);
+      res.end('Not found!');
+  }
+};
+
+const setURL = (origin, ...cookies) => {
+  const url = new URL('/set', origin);
+  cookies.forEach((cookie) => url.searchParams.append('cookie', cookie));
+  return url.href;
+};
+
+describe('Cookie Jar Tests', () => {
+  let server;
+  let h2cServer;
+  let origin;
+
+  before(async () => {
+    server = http.createServer(handler);
+    h2cServer = http2.createServer(handler);
+    await Promise.all([server, h2cServer].map(
+      (srv) => new Promise((resolve) => srv.listen(0, resolve)),
+    ));
+    origin = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await Promise.all([server, h2cServer].map(
+      (srv) => new Promise((resolve) => srv.close(resolve)),
+    ));
+  });
+
+  it('cookies are not stored by default', async () => {
+    const { fetch, reset } = context();
+    try {
+      await fetch(setURL(origin, 'a=1'));
+      const resp = await fetch(`${origin}/echo`);
+      assert.strictEqual(await resp.text(), '');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('stores and sends cookies', async () => {
+    const { fetch, reset } = context({ cookieJar: true });
+    try {
+      let resp = await fetch(setURL(origin, 'a=1', 'b=2; Path=/echo', 'c=3; Path=/other'));
+      assert.strictEqual(resp.status, 200);
+      resp = await fetch(`${origin}/echo`);
+      // longer paths first
+      assert.strictEqual(await resp.text(), 'b=2; a=1');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('stores cookies of redirect hops', async () => {
+    const { fetch, reset } = context({ cookieJar: true });
+    try {
+      const url = new URL('/redirect', origin);
+      url.searchParams.set('cookie', 'hop=1');
+      url.searchParams.set('to', '/echo');
+      const resp = await fetch(url.href);
+      assert(resp.redirected);
+      assert.strictEqual(await resp.text(), 'hop=1');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('merges cookies with an explicit cookie header', async () => {
+    const { fetch, reset } = context({ cookieJar: true });
+    try {
+      await fetch(setURL(origin, 'a=1'));
+      const resp = await fetch(`${origin}/echo`, { headers: { cookie: 'x=y' } });
+      assert.strictEqual(await resp.text(), 'x=y; a=1');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('expires and deletes cookies', async () => {
+    const jar = new CookieJar();
+    const { fetch, reset } = context({ cookieJar: jar });
+    try {
+      await fetch(setURL(origin, 'a=1', 'b=2; Max-Age=3600', 'c=3; Expires=Thu, 01 Jan 1970 00:00:00 GMT'));
+      let resp = await fetch(`${origin}/echo`);
+      assert.strictEqual(await resp.text(), 'a=1; b=2');
+      await fetch(setURL(origin, 'a=; Max-Age=0'));
+      resp = await fetch(`${origin}/echo`);
+      assert.strictEqual(await resp.text(), 'b=2');
+      assert.strictEqual(jar.getCookieHeader(origin), 'b=2');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('does not store Secure cookies from insecure origins', async () => {
+    const { fetch, reset } = context({ cookieJar: true });
+    try {
+      await fetch(setURL(origin, 'a=1; Secure', '__Secure-b=2', 'c=3'));
+      const resp = await fetch(`${origin}/echo`);
+      assert.strictEqual(await resp.text(), 'c=3');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('withholds SameSite=Strict cookies on cross-site redirects', async () => {
+    const { fetch, reset } = context({ cookieJar: true });
+    const crossOrigin = `http://127.0.0.1:${server.address().port}`;
+    try {
+      await fetch(setURL(origin, 'strict=1; SameSite=Strict', 'lax=1; SameSite=Lax', 'plain=1'));
+      // same-site request
+      let resp = await fetch(`${origin}/echo`);
+      assert.strictEqual(await resp.text(), 'strict=1; lax=1; plain=1');
+      // cross-site redirect to localhost
+      const url = new URL('/redirect', crossOrigin);
+      url.searchParams.set('to', `${origin}/echo`);
+      resp = await fetch(url.href);
+      assert.strictEqual(await resp.text(), 'lax=1; plain=1');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports HTTP/2', async () => {
+    const { fetch, reset } = context({ cookieJar: true });
+    const h2cOrigin = `http2://localhost:${h2cServer.address().port}`;
+    try {
+      await fetch(setURL(h2cOrigin, 'a=1', 'b=2'));
+      const resp = await fetch(`${h2cOrigin}/echo`);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      assert.strictEqual(await resp.text(), 'a=1; b=2');
+    } finally {
+      await reset();
+    }
+  });
+});
+
+describe('Cookie Persistence Tests', () => {
+  const setup = () => {
+    const ctx = context({ cookieJar: true });
+    const jar = new CookieJar();
+    jar.setCookie('session=abc; HttpOnly', 'https://www.example.com/app/login');
+    jar.setCookie('pref=dark; Domain=example.com; Path=/; Max-Age=3600; Secure', 'https://www.example.com/');
+    jar.setCookie('lax=1; SameSite=Lax', 'https://example.org/');
+    return { ctx, jar };
+  };
+
+  it('inspects, deletes and clears cookies', async () => {
+    const { ctx, jar } = setup();
+    try {
+      ctx.deserializeCookies(JSON.stringify(jar));
+      assert.deepStrictEqual(ctx.listCookies().map(({ name }) => name), ['session', 'pref', 'lax']);
+      assert.deepStrictEqual(ctx.getCookies('https://www.example.com/app/x').map(({ name }) => name), ['session', 'pref']);
+      assert.deepStrictEqual(ctx.getCookies('http://api.example.com/'), []);
+      assert.strictEqual(ctx.deleteCookies('https://www.example.com/app/x', 'pref'), 1);
+      assert.strictEqual(ctx.deleteCookies('https://www.example.com/'), 0);
+      assert.deepStrictEqual(ctx.listCookies().map(({ name }) => name), ['session', 'lax']);
+      ctx.clearCookies();
+      assert.deepStrictEqual(ctx.listCookies(), []);
+    } finally {
+      await ctx.reset();
+    }
+  });
+
+  it('round-trips cookies as JSON', async () => {
+    const { jar } = setup();
+    const json = JSON.stringify(jar);
+    const copy = new CookieJar();
+    copy.fromJSON(json);
+    assert.deepStrictEqual(copy.listCookies(), jar.listCookies());
+    assert.strictEqual(copy.getCookieHeader('https://www.example.com/app/'), 'session=abc; pref=dark');
+    // expired cookies are skipped
+    const data = jar.toJSON();
+    data.cookies[0].expires = Date.now() - 1000;
+    copy.clear();
+    copy.fromJSON(data);
+    assert.strictEqual(copy.listCookies().length, 2);
+    assert.throws(() => copy.fromJSON({}), TypeError);
+    assert.throws(() => copy.fromJSON({ cookies: [{ name: 'a', value: '1' }] }), TypeError);
+  });
+
+  it('round-trips cookies in cookies.txt format', async () => {
+    const { jar } = setup();
+    const txt = jar.toNetscape();
+    const lines = txt.split('\n');
+    assert.strictEqual(lines[0], '# Netscape HTTP Cookie File');
+    assert(lines.includes('#HttpOnly_www.example.com\tFALSE\t/app\tFALSE\t0\tsession\tabc'));
+    const copy = new CookieJar();
+    copy.fromNetscape(txt);
+    // cookies.txt has a resolution of seconds and no SameSite attribute
+    const strip = (cookies) => cookies.map((cookie) => ({
+      name: cookie.name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      hostOnly: cookie.hostOnly,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      expires: cookie.expires && Math.round(cookie.expires / 1000),
+    }));
+    assert.deepStrictEqual(strip(copy.listCookies()), strip(jar.listCookies()));
+  });
+
+  it('reads cookies.txt files written by curl', () => {
+    const jar = new CookieJar();
+    jar.fromNetscape([
+      '# Netscape HTTP Cookie File',
+      '# https://curl.se/docs/http-cookies.html',
+      '',
+      '.example.com\tTRUE\t/\tTRUE\t0\ta\t1',
+      'example.com\tFALSE\t/\tFALSE\t1\texpired\tx',
+      '#HttpOnly_example.com\tFALSE\t/\tFALSE\t4102444800\tb\t',
+    ].join('\r\n'));
+    assert.strictEqual(jar.getCookieHeader('https://www.example.com/'), 'a=1');
+    assert.strictEqual(jar.getCookieHeader('https://example.com/'), 'a=1; b=');
+    assert.strictEqual(jar.getCookieHeader('https://example.com/', { http: false }), 'a=1');
+    assert.throws(() => jar.fromNetscape('example.com\tFALSE\t/'), TypeError);
+  });
+
+  it('serializes and restores the cookies of a context', async () => {
+    const ctx1 = context({ cookieJar: true });
+    const ctx2 = context({ cookieJar: true });
+    try {
+      const { jar } = setup();
+      ctx1.deserializeCookies(jar.toNetscape(), 'netscape');
+      ctx2.deserializeCookies(ctx1.serializeCookies('netscape'), 'netscape');
+      assert.deepStrictEqual(ctx2.listCookies().map(({ name }) => name), ['session', 'pref', 'lax']);
+      assert.throws(() => ctx1.serializeCookies('xml'), TypeError);
+      assert.throws(() => ctx1.deserializeCookies('', 'xml'), TypeError);
+    } finally {
+      await ctx1.reset();
+      await ctx2.reset();
+    }
+  });
+
+  it('context without cookie jar', async () => {
+    const ctx = context();
+    try {
+      assert.deepStrictEqual(ctx.listCookies(), []);
+      assert.deepStrictEqual(ctx.getCookies('https://example.com/'), []);
+      assert.strictEqual(ctx.deleteCookies('https://example.com/'), 0);
+      ctx.clearCookies();
+      assert.deepStrictEqual(JSON.parse(ctx.serializeCookies()), { version: 1, cookies: [] });
+      assert.throws(() => ctx.deserializeCookies('{"cookies":[]}'), TypeError);
+    } finally {
+      await ctx.reset();
+    }
+  });
+});
+
+describe('CookieJar Unit Tests', () => {
+  it('matches domains and paths', () => {
+    const jar = new CookieJar();
+    jar.setCookie('host=1', 'https://www.example.com/docs/index.html');
+    jar.setCookie('domain=1; Domain=.Example.COM; Path=/', 'https://www.example.com/');
+    jar.setCookie('sub=1; Domain=sub.example.com', 'https://www.example.com/');
+    assert.strictEqual(jar.getCookieHeader('https://www.example.com/docs/'), 'host=1; domain=1');
+    assert.strictEqual(jar.getCookieHeader('https://www.example.com/docs'), 'host=1; domain=1');
+    assert.strictEqual(jar.getCookieHeader('https://www.example.com/docsx'), 'domain=1');
+    assert.strictEqual(jar.getCookieHeader('https://api.example.com/docs/'), 'domain=1');
+    assert.strictEqual(jar.getCookieHeader('https://example.org/'), '');
+  });
+
+  it('rejects public suffix domains', () => {
+    const jar = new CookieJar();
+    assert.strictEqual(jar.setCookie('a=1; Domain=co.uk', 'https://example.co.uk/'), null);
+    assert.strictEqual(jar.setCookie('a=1; Domain=github.io', 'https://foo.github.io/'), null);
+    // a public suffix host may set a host-only cookie
+    const cookie = jar.setCookie('a=1; Domain=co.uk', 'https://co.uk/');
+    assert.strictEqual(cookie.hostOnly, true);
+    assert.strictEqual(jar.getCookieHeader('https://example.co.uk/'), '');
+  });
+
+  it('does not domain-match ip addresses', () => {
+    const jar = new CookieJar();
+    assert.strictEqual(jar.setCookie('a=1; Domain=0.0.1', 'http://127.0.0.1/'), null);
+    assert(jar.setCookie('a=1; Domain=127.0.0.1', 'http://127.0.0.1/'));
+    assert(jar.setCookie('b=1', 'http://[::1]/'));
+    assert.strictEqual(jar.getCookieHeader('http://[::1]/'), 'b=1');
+  });
+
+  it('enforces Secure and HttpOnly', () => {
+    const jar = new CookieJar();
+    jar.setCookie('secure=1; Secure', 'https://example.com/');
+    jar.setCookie('http=1; HttpOnly', 'https://example.com/');
+    assert.strictEqual(jar.getCookieHeader('https://example.com/'), 'secure=1; http=1');
+    assert.strictEqual(jar.getCookieHeader('http://example.com/'), 'http=1');
+    assert.strictEqual(jar.getCookieHeader('https://example.com/', { http: false }), 'secure=1');
+    // insecure origins must not overlay secure cookies
+    assert.strictEqual(jar.setCookie('secure=2', 'http://example.com/'), null);
+    // non-HTTP APIs must not set or overwrite HttpOnly cookies
+    assert.strictEqual(jar.setCookie('x=1; HttpOnly', 'https://example.com/', { http: false }), null);
+    assert.strictEqual(jar.setCookie('http=2', 'https://example.com/', { http: false }), null);
+  });
+
+  it('enforces SameSite', () => {
+    const jar = new CookieJar();
+    const site = 'https://example.com/';
+    jar.setCookie('strict=1; SameSite=Strict', 'https://example.com/');
+    jar.setCookie('lax=1; SameSite=lax', 'https://example.com/');
+    jar.setCookie('none=1; SameSite=None; Secure', 'https://example.com/');
+    assert.strictEqual(jar.setCookie('bad=1; SameSite=None', 'https://example.com/'), null);
+    assert.strictEqual(jar.getCookieHeader('https://example.com/', { site }), 'strict=1; lax=1; none=1');
+    assert.strictEqual(jar.getCookieHeader('https://www.example.com/', { site }), '');
+    const crossSite = 'https://example.org/';
+    assert.strictEqual(jar.getCookieHeader('https://example.com/', { site: crossSite }), 'lax=1; none=1');
+    assert.strictEqual(jar.getCookieHeader('https://example.com/', { site: crossSite, method: 'POST' }), 'none=1');
+    // SameSite cookies set by cross-site responses are ignored
+    assert.strictEqual(jar.setCookie('x=1; SameSite=Lax', 'https://example.com/', { site: crossSite }), null);
+    assert(jar.setCookie('y=1', 'https://example.com/', { site: crossSite }));
+  });
+
+  it('enforces cookie name prefixes', () => {
+    const jar = new CookieJar();
+    assert(jar.setCookie('__Secure-a=1; Secure; Domain=example.com', 'https://www.example.com/'));
+    assert.strictEqual(jar.setCookie('__Host-a=1; Secure; Domain=example.com', 'https://www.example.com/'), null);
+    assert.strictEqual(jar.setCookie('__Host-a=1; Secure; Path=/foo', 'https://www.example.com/'), null);
+    assert(jar.setCookie('__Host-a=1; Secure; Path=/', 'https://www.example.com/foo/bar'));
+  });
+
+  it('keeps the creation time of replaced cookies', async () => {
+    const jar = new CookieJar();
+    jar.setCookie('a=1', 'https://example.com/');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    jar.setCookie('b=1', 'https://example.com/');
+    jar.setCookie('a=2', 'https://example.com/');
+    assert.strictEqual(jar.getCookieHeader('https://example.com/'), 'a=2; b=1');
+    jar.clear();
+    assert.strictEqual(jar.getCookieHeader('https://example.com/'), '');
+  });
+
+  it('parseSetCookie parses attributes', () => {
+    assert.strictEqual(parseSetCookie('invalid'), null);
+    assert.strictEqual(parseSetCookie('=value'), null);
+    assert.deepStrictEqual(parseSetCookie(' a = b=c ; path=foo; max-age=1x; SameSite=bogus; unknown'), {
+      name: 'a', value: 'b=c', path: undefined, sameSite: undefined,
+    });
+    assert.deepStrictEqual(parseSetCookie('a=1; Max-Age=10; Domain=.Example.com; HTTPONLY; secure'), {
+      name: 'a', value: '1', maxAge: 10, domain: 'example.com', httpOnly: true, secure: true,
+    });
+  });
+
+  it('parseCookieDate parses RFC 6265 dates', () => {
+    const expected = Date.UTC(2015, 9, 21, 7, 28, 0);
+    assert.strictEqual(parseCookieDate('Wed, 21 Oct 2015 07:28:00 GMT'), expected);
+    assert.strictEqual(parseCookieDate('Wednesday, 21-Oct-15 07:28:00 GMT'), expected);
+    assert.strictEqual(parseCookieDate('Wed Oct 21 07:28:00 2015'), expected);
+    assert.strictEqual(parseCookieDate('Thu, 01 Jan 1970 00:00:00 GMT'), 0);
+    assert.strictEqual(parseCookieDate('Sun, 30 Feb 2020 00:00:00 GMT'), undefined);
+    assert.strictEqual(parseCookieDate('Wed, 21 Oct 2015 25:28:00 GMT'), undefined);
+    assert.strictEqual(parseCookieDate('tomorrow'), undefined);
+  });
+});
@@ -16,7 +16,9 @@
 
 const assert = require('assert');
 
-const { FetchBaseError, FetchError, AbortError } = require('../../src/fetch/errors');
+const {
+  FetchBaseError, FetchError, AbortError, TimeoutError,
+} = require('../../src/fetch/errors');
 
 describe('fetch errors Tests', () => {
   it('FetchBaseError', () => {
@@ -43,4 +45,15 @@ describe('fetch errors Tests', () => {
     assert.strictEqual(err.name, 'AbortError');
     assert.strictEqual(Object.prototype.toString.call(err), '[object AbortError]');
   });
+
+  it('TimeoutError', () => {
+    const err = new TimeoutError('test', 'idle');
+    assert(err instanceof FetchBaseError);
+    assert.strictEqual(err.type, 'timeout');
+    assert.strictEqual(err.phase, 'idle');
+    assert.strictEqual(err.code, 'ETIMEDOUT');
+    assert.strictEqual(err.message, 'test');
+    assert.strictEqual(err.name, 'TimeoutError');
+    assert.strictEqual(Object.prototype.toString.call(err), '[object TimeoutError]');
+  });
 });
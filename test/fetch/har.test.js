@@ -0,0 +1,222 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const http2 = require('http2');
+
+const { context } = require('../../src/fetch');
+
+const HELLO_WORLD = 'Hello, World!';
+
+const header = (headers, name) => headers.find((h) => h.name === name).value;
+
+describe('HAR Recorder Tests', () => {
+  let server;
+  let origin;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      switch (pathname) {
+        case '/hello':
+          res.writeHead(200, { 'content-type': 'text/plain', 'set-cookie': ['a=1; Path=/; HttpOnly', 'b=2'] });
+          res.end(HELLO_WORLD);
+          break;
+        case '/redirect':
+          res.writeHead(302, { location: '/hello' });
+          res.end();
+          break;
+        case '/redirect-307':
+          res.writeHead(307, { location: '/echo' });
+          res.end();
+          break;
+        case '/echo':
+          res.writeHead(200, { 'content-type': 'application/json' });
+          req.pipe(res);
+          break;
+        case '/binary':
+          res.writeHead(200, { 'content-type': 'application/octet-stream' });
+          res.end(Buffer.from([0, 1, 2, 3, 4, 5, 6, 7]));
+          break;
+        default:
+          res.writeHead(404);
+          res.end('Not found!');
+      }
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    origin = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('records requests, responses and redirects', async () => {
+    const { fetch, getHar, reset } = context({ har: true });
+    try {
+      const resp = await fetch(`${origin}/redirect?foo=bar`, { headers: { cookie: 'x=y; z=1' } });
+      assert.strictEqual(await resp.text(), HELLO_WORLD);
+      const { log } = getHar();
+      assert.strictEqual(log.version, '1.2');
+      assert.strictEqual(log.creator.name, 'poly-fetch');
+      assert.strictEqual(log.entries.length, 2);
+      const [redirect, hello] = log.entries;
+
+      assert.strictEqual(redirect.request.method, 'GET');
+      assert.strictEqual(redirect.request.url, `${origin}/redirect?foo=bar`);
+      assert.strictEqual(redirect.request.httpVersion, 'HTTP/1.1');
+      assert.deepStrictEqual(redirect.request.queryString, [{ name: 'foo', value: 'bar' }]);
+      assert.deepStrictEqual(redirect.request.cookies, [{ name: 'x', value: 'y' }, { name: 'z', value: '1' }]);
+      // headers actually sent, including defaults
+      assert(header(redirect.request.headers, 'user-agent').startsWith('poly-fetch/'));
+      assert.strictEqual(redirect.response.status, 302);
+      assert.strictEqual(redirect.response.redirectURL, `${origin}/hello`);
+      assert(!Number.isNaN(Date.parse(redirect.startedDateTime)));
+
+      assert.strictEqual(hello.request.url, `${origin}/hello`);
+      assert.strictEqual(hello.response.status, 200);
+      assert.strictEqual(hello.response.httpVersion, 'HTTP/1.1');
+      assert.deepStrictEqual(hello.response.content, {
+        size: HELLO_WORLD.length, mimeType: 'text/plain', text: HELLO_WORLD,
+      });
+      assert.deepStrictEqual(hello.response.cookies, [
+        {
+          name: 'a', value: '1', path: '/', httpOnly: true,
+        },
+        { name: 'b', value: '2' },
+      ]);
+      assert.deepStrictEqual(
+        hello.response.headers.filter(({ name }) => name === 'set-cookie').map(({ value }) => value),
+        ['a=1; Path=/; HttpOnly', 'b=2'],
+      );
+      ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].forEach((phase) => {
+        assert(hello.timings[phase] >= 0, phase);
+      });
+      assert.strictEqual(hello.timings.ssl, -1);
+      assert(hello.time >= hello.timings.wait);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('records request bodies and caps body sizes', async () => {
+    const {
+      fetch, getHar, clearHar, reset,
+    } = context({ har: { maxBodySize: 4 } });
+    try {
+      let resp = await fetch(`${origin}/echo`, { method: 'POST', body: { foo: 'bar' } });
+      assert.deepStrictEqual(await resp.json(), { foo: 'bar' });
+      resp = await fetch(`${origin}/binary`);
+      assert.strictEqual((await resp.buffer()).length, 8);
+    } finally {
+      await reset();
+    }
+    let { log: { entries } } = getHar();
+    assert.deepStrictEqual(entries[0].request.postData, { mimeType: 'application/json', text: '{"fo' });
+    assert.deepStrictEqual(entries[0].response.content, {
+      size: 13, mimeType: 'application/json', text: '{"fo', _truncated: true,
+    });
+    assert.deepStrictEqual(entries[1].response.content, {
+      size: 8, mimeType: 'application/octet-stream', text: 'AAECAw==', encoding: 'base64', _truncated: true,
+    });
+    clearHar();
+    ({ log: { entries } } = getHar());
+    assert.strictEqual(entries.length, 0);
+  });
+
+  it('records request bodies re-sent by redirects', async () => {
+    const { fetch, getHar, reset } = context({ har: true });
+    try {
+      const resp = await fetch(`${origin}/redirect-307`, { method: 'POST', body: { foo: 'bar' } });
+      assert.deepStrictEqual(await resp.json(), { foo: 'bar' });
+    } finally {
+      await reset();
+    }
+    const { log: { entries } } = getHar();
+    assert.deepStrictEqual(entries.map(({ request }) => request.postData), [
+      { mimeType: 'application/json', text: '{"foo":"bar"}' },
+      { mimeType: 'application/json', text: '{"foo":"bar"}' },
+    ]);
+  });
+
+  it('keeps the latest maxEntries entries', async () => {
+    const { fetch, getHar, reset } = context({ har: { maxEntries: 2 } });
+    try {
+      for (const path of ['/hello', '/binary', '/hello?last']) {
+        // eslint-disable-next-line no-await-in-loop
+        const resp = await fetch(`${origin}${path}`);
+        // eslint-disable-next-line no-await-in-loop
+        await resp.buffer();
+      }
+    } finally {
+      await reset();
+    }
+    const { log: { entries } } = getHar();
+    assert.deepStrictEqual(entries.map(({ request }) => request.url), [
+      `${origin}/binary`, `${origin}/hello?last`,
+    ]);
+  });
+
+  it('returns an empty log if recording is disabled', async () => {
+    const { fetch, getHar, reset } = context();
+    try {
+      const resp = await fetch(`${origin}/hello`);
+      await resp.text();
+      assert.deepStrictEqual(getHar().log.entries, []);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('records pushed streams', async () => {
+    const h2Server = http2.createServer();
+    h2Server.on('stream', (stream) => {
+      stream.pushStream({ ':path': '/pushed' }, (err, pushStream) => {
+        pushStream.respond({ ':status': 200, 'content-type': 'text/plain' });
+        pushStream.end('pushed');
+      });
+      stream.respond({ ':status': 200, 'content-type': 'text/plain' });
+      stream.end(HELLO_WORLD);
+    });
+    await new Promise((resolve) => h2Server.listen(0, resolve));
+    const pushOrigin = `http2://localhost:${h2Server.address().port}`;
+    let pushed;
+    const { fetch, getHar, reset } = context({
+      har: true,
+      h2: {
+        pushHandler: (url, reqHeaders, response) => {
+          pushed = response.text();
+        },
+      },
+    });
+    try {
+      const resp = await fetch(`${pushOrigin}/hello`);
+      assert.strictEqual(await resp.text(), HELLO_WORLD);
+      assert.strictEqual(await pushed, 'pushed');
+      const { log: { entries } } = getHar();
+      assert.strictEqual(entries.length, 2);
+      // eslint-disable-next-line no-underscore-dangle
+      const push = entries.find((entry) => entry._pushed);
+      assert.strictEqual(push.request.url, `http://localhost:${h2Server.address().port}/pushed`);
+      assert.strictEqual(push.response.httpVersion, 'HTTP/2.0');
+      assert.strictEqual(push.response.content.text, 'pushed');
+    } finally {
+      await reset();
+      await new Promise((resolve) => h2Server.close(resolve));
+    }
+  });
+});
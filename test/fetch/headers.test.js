@@ -22,7 +22,10 @@ const chaiIterator = require('chai-iterator');
 chai.use(chaiIterator);
 const { expect } = chai;
 
-const { Headers } = require('../../src/fetch');
+const http = require('http');
+const http2 = require('http2');
+
+const { context, Headers } = require('../../src/fetch');
 
 describe('Headers Tests', () => {
   it('overrides toStringTag', () => {
@@ -46,6 +49,7 @@ describe('Headers Tests', () => {
       'entries',
       'forEach',
       'get',
+      'getSetCookie',
       'has',
       'keys',
       'set',
@@ -173,4 +177,78 @@ describe('Headers Tests', () => {
     const headers = new Headers(hdrObj);
     expect(headers.plain()).to.be.deep.equal(hdrObj);
   });
+
+  it('should keep multiple values separately', () => {
+    const headers = new Headers({ 'set-cookie': ['a=1; Expires=Wed, 21 Oct 2015 07:28:00 GMT', 'b=2'] });
+    headers.append('X-Multi', 'foo, bar');
+    headers.append('x-multi', 'baz');
+    headers.append('x-single', 'qux');
+    expect(headers.get('set-cookie')).to.be.equal('a=1; Expires=Wed, 21 Oct 2015 07:28:00 GMT, b=2');
+    expect(headers.get('x-multi')).to.be.equal('foo, bar, baz');
+    expect(headers.getSetCookie()).to.be.deep.equal(['a=1; Expires=Wed, 21 Oct 2015 07:28:00 GMT', 'b=2']);
+    expect(headers.raw()).to.be.deep.equal({
+      'set-cookie': ['a=1; Expires=Wed, 21 Oct 2015 07:28:00 GMT', 'b=2'],
+      'x-multi': ['foo, bar', 'baz'],
+      'x-single': ['qux'],
+    });
+    expect(headers.plain()).to.be.deep.equal({
+      'set-cookie': 'a=1; Expires=Wed, 21 Oct 2015 07:28:00 GMT, b=2',
+      'x-multi': 'foo, bar, baz',
+      'x-single': 'qux',
+    });
+    // copies keep the individual values
+    const copy = new Headers(headers);
+    copy.append('set-cookie', 'c=3');
+    expect(copy.getSetCookie()).to.be.deep.equal(['a=1; Expires=Wed, 21 Oct 2015 07:28:00 GMT', 'b=2', 'c=3']);
+    expect(headers.getSetCookie()).to.have.lengthOf(2);
+    // set replaces all values
+    copy.set('set-cookie', 'd=4');
+    expect(copy.getSetCookie()).to.be.deep.equal(['d=4']);
+    expect(new Headers().getSetCookie()).to.be.deep.equal([]);
+  });
+
+  it('should not combine set-cookie values when iterating', () => {
+    const headers = new Headers([
+      ['set-cookie', 'b=2'],
+      ['x-a', '1'],
+      ['set-cookie', 'a=1'],
+      ['x-a', '2'],
+    ]);
+    expect([...headers]).to.be.deep.equal([
+      ['set-cookie', 'b=2'],
+      ['set-cookie', 'a=1'],
+      ['x-a', '1, 2'],
+    ]);
+    expect(headers.keys()).to.be.deep.equal(['set-cookie', 'set-cookie', 'x-a']);
+    expect([...headers.values()]).to.be.deep.equal(['b=2', 'a=1', '1, 2']);
+  });
+});
+
+describe('Multi-Value Response Headers Tests', () => {
+  const handler = (req, res) => {
+    res.setHeader('set-cookie', ['a=1; Expires=Wed, 21 Oct 2015 07:28:00 GMT', 'b=2']);
+    res.setHeader('x-multi', ['foo, bar', 'baz']);
+    res.setHeader('location', '/first');
+    res.end('ok');
+  };
+
+  const test = async (createServer, protocol) => {
+    const server = createServer(handler);
+    await new Promise((resolve) => server.listen(0, resolve));
+    const { fetch, reset } = context();
+    try {
+      const resp = await fetch(`${protocol}://localhost:${server.address().port}/`, { redirect: 'manual' });
+      await resp.text();
+      expect(resp.headers.getSetCookie()).to.be.deep.equal(['a=1; Expires=Wed, 21 Oct 2015 07:28:00 GMT', 'b=2']);
+      expect(resp.headers.raw()['x-multi']).to.be.deep.equal(['foo, bar', 'baz']);
+      expect(resp.headers.get('x-multi')).to.be.equal('foo, bar, baz');
+    } finally {
+      await reset();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  };
+
+  it('HTTP/1.1 responses keep multiple values', async () => test(http.createServer, 'http'));
+
+  it('HTTP/2 responses keep multiple values', async () => test(http2.createServer, 'http2'));
 });
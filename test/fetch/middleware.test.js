@@ -0,0 +1,220 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const {
+  context, Headers, Request, Response,
+} = require('../../src/fetch');
+
+describe('Middleware Tests', () => {
+  let server;
+  let origin;
+  let hits;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits += 1;
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      switch (pathname) {
+        case '/echo':
+          res.writeHead(200, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers }));
+          break;
+        case '/redirect':
+          res.writeHead(302, { location: searchParams.get('to') });
+          res.end();
+          break;
+        case '/flaky':
+          if (hits === 1) {
+            res.writeHead(503);
+            res.end('Service Unavailable');
+          } else {
+            res.writeHead(200);
+            res.end('ok');
+          }
+          break;
+        default:
+          res.writeHead(404);
+          res.end('Not found!');
+      }
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    origin = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    hits = 0;
+  });
+
+  it('middleware can rewrite the request', async () => {
+    const calls = [];
+    const { fetch, use, reset } = context({
+      middleware: [
+        async (req, next) => {
+          calls.push('auth');
+          req.headers.set('authorization', 'Bearer token');
+          return next();
+        },
+      ],
+    });
+    use(async (req, next) => {
+      calls.push('method');
+      // replace the request
+      return next(new Request(req, { method: 'POST', body: 'foo' }));
+    });
+    try {
+      const resp = await fetch(`${origin}/echo`);
+      const { method, headers } = await resp.json();
+      assert.strictEqual(method, 'POST');
+      assert.strictEqual(headers.authorization, 'Bearer token');
+      assert.deepStrictEqual(calls, ['auth', 'method']);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('middleware can short-circuit with a synthetic response', async () => {
+    const { fetch, reset } = context({
+      middleware: [
+        async () => new Response('synthetic', { status: 203, headers: { 'x-synthetic': 'true' } }),
+        async () => assert.fail('should not be called'),
+      ],
+    });
+    try {
+      const resp = await fetch(`${origin}/echo`);
+      assert.strictEqual(resp.status, 203);
+      assert.strictEqual(resp.headers.get('x-synthetic'), 'true');
+      assert.strictEqual(await resp.text(), 'synthetic');
+      assert.strictEqual(hits, 0);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('middleware can transform the response', async () => {
+    const { fetch, reset } = context({
+      middleware: [
+        async (req, next) => {
+          const start = Date.now();
+          const resp = await next();
+          const headers = new Headers(resp.headers);
+          headers.set('x-duration', `${Date.now() - start}`);
+          return new Response(resp.body, {
+            url: resp.url, status: resp.status, statusText: resp.statusText, headers,
+          });
+        },
+      ],
+    });
+    try {
+      const resp = await fetch(`${origin}/echo`);
+      assert.strictEqual(resp.status, 200);
+      assert(resp.headers.has('x-duration'));
+      assert.strictEqual((await resp.json()).method, 'GET');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('redirect hops pass through the chain', async () => {
+    const log = [];
+    const { fetch, reset } = context({
+      middleware: [
+        async (req, next) => {
+          log.push(`> ${req.counter} ${new URL(req.url).pathname}`);
+          const resp = await next();
+          log.push(`< ${req.counter} ${resp.status}`);
+          return resp;
+        },
+      ],
+    });
+    try {
+      const resp = await fetch(`${origin}/redirect?to=/redirect%3Fto%3D/echo`);
+      assert.strictEqual(resp.status, 200);
+      assert(resp.redirected);
+      assert.deepStrictEqual(log, [
+        '> 0 /redirect',
+        '> 1 /redirect',
+        '> 2 /echo',
+        '< 2 200',
+        '< 1 200',
+        '< 0 200',
+      ]);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('retries are performed inside next()', async () => {
+    let calls = 0;
+    const { fetch, reset } = context({
+      retry: { maxAttempts: 2, delay: 1 },
+      middleware: [
+        async (req, next) => {
+          calls += 1;
+          return next();
+        },
+      ],
+    });
+    try {
+      const resp = await fetch(`${origin}/flaky`);
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.attempts, 2);
+      assert.strictEqual(calls, 1);
+      assert.strictEqual(hits, 2);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('rejects invalid middleware', async () => {
+    assert.throws(() => context({ middleware: ['foo'] }), TypeError);
+    const { fetch, use, reset } = context();
+    try {
+      assert.throws(() => use(null), TypeError);
+      use(async () => 'not a response');
+      await assert.rejects(fetch(`${origin}/echo`), TypeError);
+    } finally {
+      await reset();
+    }
+    const ctx = context({ middleware: [async (req, next) => next('/foo')] });
+    try {
+      await assert.rejects(ctx.fetch(`${origin}/echo`), TypeError);
+    } finally {
+      await ctx.reset();
+    }
+  });
+
+  it('middleware errors are propagated', async () => {
+    const { fetch, reset } = context({
+      middleware: [
+        async () => {
+          throw new Error('boom');
+        },
+      ],
+    });
+    try {
+      await assert.rejects(fetch(`${origin}/echo`), /boom/);
+    } finally {
+      await reset();
+    }
+  });
+});
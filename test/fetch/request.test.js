@@ -50,12 +50,13 @@ describe('Request Tests', () => {
       'redirect',
       'clone',
       'signal',
+      'cache',
     ]) {
       expect(enumerableProperties).to.contain(toCheck);
     }
 
     for (const toCheck of [
-      'body', 'bodyUsed', 'method', 'url', 'headers', 'redirect', 'signal',
+      'body', 'bodyUsed', 'method', 'url', 'headers', 'redirect', 'signal', 'cache',
     ]) {
       expect(() => {
         request[toCheck] = 'abc';
@@ -203,6 +204,7 @@ describe('Request Tests', () => {
       body,
       method: 'POST',
       redirect: 'manual',
+      cache: 'no-store',
       headers: {
         b: '2',
       },
@@ -214,6 +216,7 @@ describe('Request Tests', () => {
     expect(cl.url).to.equal(url);
     expect(cl.method).to.equal('POST');
     expect(cl.redirect).to.equal('manual');
+    expect(cl.cache).to.equal('no-store');
     expect(cl.headers.get('b')).to.equal('2');
     expect(cl.method).to.equal('POST');
     expect(cl.follow).to.equal(3);
@@ -246,6 +249,14 @@ describe('Request Tests', () => {
     expect(() => new Request(BASE_URL, { redirect: 'huh?' })).to.throw(TypeError);
   });
 
+  it('should default to cache mode \'default\'', () => {
+    expect(new Request(BASE_URL).cache).to.equal('default');
+  });
+
+  it('should throw on illegal cache value', () => {
+    expect(() => new Request(BASE_URL, { cache: 'huh?' })).to.throw(TypeError);
+  });
+
   it('should throw on invalid signal', () => {
     expect(() => new Request(BASE_URL, { signal: { name: 'not a signal' } })).to.throw(TypeError);
   });
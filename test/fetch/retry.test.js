@@ -0,0 +1,266 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const { Readable } = require('stream');
+
+const {
+  context, AbortController, AbortError, FetchError,
+} = require('../../src/fetch');
+const { retryPolicy, parseRetryAfter, backoff } = require('../../src/fetch/retry');
+
+describe('Retry Tests', () => {
+  let server;
+  let origin;
+  let hits;
+  let bodies;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits += 1;
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        bodies.push(Buffer.concat(chunks).toString());
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        const failures = +(searchParams.get('failures') || 2);
+        switch (pathname) {
+          case '/flaky':
+            if (hits <= failures) {
+              res.writeHead(503);
+              res.end('Service Unavailable');
+            } else {
+              res.writeHead(200);
+              res.end(`attempt #${hits}`);
+            }
+            break;
+          case '/retry-after':
+            if (hits <= failures) {
+              res.writeHead(429, { 'retry-after': searchParams.get('seconds') || '0' });
+              res.end('Too Many Requests');
+            } else {
+              res.writeHead(200);
+              res.end(`attempt #${hits}`);
+            }
+            break;
+          case '/reset':
+            if (hits <= failures) {
+              req.socket.destroy();
+            } else {
+              res.writeHead(200);
+              res.end(`attempt #${hits}`);
+            }
+            break;
+          default:
+            res.writeHead(404);
+            res.end('Not found!');
+        }
+      });
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    origin = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    hits = 0;
+    bodies = [];
+  });
+
+  it('is disabled by default', async () => {
+    const { fetch, reset } = context();
+    try {
+      const resp = await fetch(`${origin}/flaky`);
+      assert.strictEqual(resp.status, 503);
+      assert.strictEqual(resp.attempts, 1);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  });
+
+  it('retries status codes', async () => {
+    const { fetch, reset } = context({ retry: { delay: 1 } });
+    try {
+      const resp = await fetch(`${origin}/flaky`);
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.attempts, 3);
+      assert.strictEqual(await resp.text(), 'attempt #3');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('gives up after maxAttempts', async () => {
+    const { fetch, reset } = context({ retry: { maxAttempts: 2, delay: 1 } });
+    try {
+      const resp = await fetch(`${origin}/flaky`);
+      assert.strictEqual(resp.status, 503);
+      assert.strictEqual(resp.attempts, 2);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  });
+
+  it('retries error codes', async () => {
+    const { fetch, reset } = context({ retry: { delay: 1 } });
+    try {
+      const resp = await fetch(`${origin}/reset`);
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.attempts, 3);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  });
+
+  it('throws last error after maxAttempts', async () => {
+    const { fetch, reset } = context();
+    try {
+      await assert.rejects(
+        fetch(`${origin}/reset?failures=5`, { retry: { maxAttempts: 2, delay: 1 } }),
+        (err) => err instanceof FetchError && err.code === 'ECONNRESET',
+      );
+      assert.strictEqual(hits, 2);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('honors Retry-After', async () => {
+    const { fetch, reset } = context({ retry: { delay: 1 } });
+    try {
+      const ts0 = Date.now();
+      const resp = await fetch(`${origin}/retry-after?failures=1&seconds=1`);
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.attempts, 2);
+      assert(Date.now() - ts0 >= 1000);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  }).timeout(5000);
+
+  it('gives up if Retry-After exceeds maxRetryAfter', async () => {
+    const { fetch, reset } = context({ retry: { delay: 1, maxRetryAfter: 1000 } });
+    try {
+      const resp = await fetch(`${origin}/retry-after?failures=1&seconds=120`);
+      assert.strictEqual(resp.status, 429);
+      assert.strictEqual(resp.attempts, 1);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  });
+
+  it('does not retry non-idempotent methods by default', async () => {
+    const { fetch, reset } = context({ retry: { delay: 1 } });
+    try {
+      const resp = await fetch(`${origin}/flaky`, { method: 'POST', body: 'foo' });
+      assert.strictEqual(resp.status, 503);
+      assert.strictEqual(resp.attempts, 1);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  });
+
+  it('re-sends replayable bodies', async () => {
+    const { fetch, reset } = context({ retry: { delay: 1, methods: ['POST'] } });
+    try {
+      const resp = await fetch(`${origin}/flaky`, { method: 'POST', body: { foo: 'bar' } });
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.attempts, 3);
+      assert.deepStrictEqual(bodies, Array(3).fill('{"foo":"bar"}'));
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  });
+
+  it('does not retry stream bodies', async () => {
+    const { fetch, reset } = context({ retry: { delay: 1 } });
+    try {
+      const resp = await fetch(`${origin}/flaky`, { method: 'PUT', body: Readable.from('foo') });
+      assert.strictEqual(resp.status, 503);
+      assert.strictEqual(resp.attempts, 1);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  });
+
+  it('request option overrides context option', async () => {
+    const { fetch, reset } = context({ retry: { delay: 1 } });
+    try {
+      let resp = await fetch(`${origin}/flaky`, { retry: false });
+      assert.strictEqual(resp.attempts, 1);
+      await resp.text();
+      hits = 0;
+      resp = await fetch(`${origin}/flaky`, { retry: 2 });
+      assert.strictEqual(resp.attempts, 2);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+  });
+
+  it('AbortController works during backoff', async () => {
+    const { fetch, reset } = context({ retry: { delay: 5000, jitter: false } });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 100);
+    try {
+      await assert.rejects(fetch(`${origin}/flaky`, { signal: controller.signal }), AbortError);
+      assert.strictEqual(hits, 1);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('retryPolicy works', () => {
+    assert.strictEqual(retryPolicy(), null);
+    assert.strictEqual(retryPolicy(true, false), null);
+    assert.strictEqual(retryPolicy(undefined, true).maxAttempts, 3);
+    assert.strictEqual(retryPolicy(5).maxAttempts, 5);
+    const policy = retryPolicy({ maxAttempts: 5, delay: 10 }, { maxAttempts: 2 });
+    assert.strictEqual(policy.maxAttempts, 2);
+    assert.strictEqual(policy.delay, 10);
+  });
+
+  it('parseRetryAfter works', () => {
+    const now = Date.now();
+    assert.strictEqual(parseRetryAfter('120'), 120000);
+    const date = new Date(now + 10000).toUTCString();
+    assert.strictEqual(parseRetryAfter(date, now - (now % 1000)), 10000);
+    assert.strictEqual(parseRetryAfter('foo'), undefined);
+    assert.strictEqual(parseRetryAfter(undefined), undefined);
+  });
+
+  it('backoff works', () => {
+    const policy = {
+      delay: 100, maxDelay: 1000, factor: 2, jitter: false,
+    };
+    const delays = [1, 2, 3, 4, 5].map((n) => backoff(policy, n));
+    assert.deepStrictEqual(delays, [100, 200, 400, 800, 1000]);
+    const delay = backoff({ ...policy, jitter: true }, 3);
+    assert(delay >= 0 && delay < 400);
+  });
+});
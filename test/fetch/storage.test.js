@@ -0,0 +1,110 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+
+const getStream = require('get-stream');
+
+const { MemoryCacheStorage, FileSystemCacheStorage } = require('../../src/fetch/storage');
+
+// (`fs.promises.rm()` requires node >= 14.14)
+const removeDir = (dir) => (fs.promises.rm
+  ? fs.promises.rm(dir, { recursive: true })
+  : fs.promises.rmdir(dir, { recursive: true }));
+
+const HELLO_WORLD = 'Hello, World!';
+
+const testStorage = (name, createStorage) => {
+  describe(`${name} Tests`, () => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = await createStorage();
+    });
+
+    it('put/get works', async () => {
+      await storage.put('https://example.com/', { statusCode: 200 }, Readable.from(HELLO_WORLD));
+      const { metadata, body } = await storage.get('https://example.com/');
+      assert.deepStrictEqual(metadata, { statusCode: 200 });
+      assert.strictEqual(await getStream(body), HELLO_WORLD);
+    });
+
+    it('get returns undefined for unknown keys', async () => {
+      assert.strictEqual(await storage.get('https://example.com/unknown'), undefined);
+    });
+
+    it('put overwrites existing entries', async () => {
+      await storage.put('https://example.com/', { n: 1 }, Readable.from('1'));
+      await storage.put('https://example.com/', { n: 2 }, Readable.from('2'));
+      const { metadata, body } = await storage.get('https://example.com/');
+      assert.deepStrictEqual(metadata, { n: 2 });
+      assert.strictEqual(await getStream(body), '2');
+    });
+
+    it('put discards entries with erroneous body', async () => {
+      const body = new PassThrough();
+      const promise = storage.put('https://example.com/', {}, body);
+      body.write('foo');
+      body.destroy(new Error('boom!'));
+      await assert.rejects(promise);
+      assert.strictEqual(await storage.get('https://example.com/'), undefined);
+    });
+
+    it('delete/keys works', async () => {
+      await storage.put('https://example.com/a', {}, Readable.from('a'));
+      await storage.put('https://example.com/b', {}, Readable.from('b'));
+      assert.deepStrictEqual((await storage.keys()).sort(), ['https://example.com/a', 'https://example.com/b']);
+      await storage.delete('https://example.com/a');
+      await storage.delete('https://example.com/unknown');
+      assert.deepStrictEqual(await storage.keys(), ['https://example.com/b']);
+    });
+  });
+};
+
+testStorage('MemoryCacheStorage', async () => new MemoryCacheStorage());
+
+describe('FileSystemCacheStorage-specific Tests', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'poly-fetch-'));
+  });
+
+  after(async () => {
+    await removeDir(dir);
+  });
+
+  testStorage('FileSystemCacheStorage', async () => {
+    const storageDir = path.join(dir, `${Date.now()}-${Math.random()}`);
+    return new FileSystemCacheStorage(storageDir);
+  });
+
+  it('FileSystemCacheStorage entries survive new instances', async () => {
+    const storageDir = path.join(dir, 'persistent');
+    await new FileSystemCacheStorage(storageDir).put('https://example.com/', { foo: 'bar' }, Readable.from(HELLO_WORLD));
+    const { metadata, body } = await new FileSystemCacheStorage(storageDir).get('https://example.com/');
+    assert.deepStrictEqual(metadata, { foo: 'bar' });
+    assert.strictEqual(await getStream(body), HELLO_WORLD);
+  });
+
+  it('FileSystemCacheStorage requires a directory', () => {
+    assert.throws(() => new FileSystemCacheStorage(), TypeError);
+  });
+});
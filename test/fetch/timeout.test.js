@@ -0,0 +1,288 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const http = require('http');
+const http2 = require('http2');
+const net = require('net');
+
+const { context, TimeoutError } = require('../../src/fetch');
+const { timeouts, startTimer, watchConnect } = require('../../src/core/timeout');
+
+const HELLO_WORLD = 'Hello, World!';
+
+const isTimeoutError = (phase) => (err) => err instanceof TimeoutError
+  && err.type === 'timeout' && err.phase === phase;
+
+let hits = 0;
+
+// request handler shared by the HTTP/1.1 and the HTTP/2 (h2c) test server
+const handler = (req, res) => {
+  hits += 1;
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const delay = +(searchParams.get('delay') || 0);
+  switch (pathname) {
+    case '/hello':
+      res.writeHead(200);
+      res.end(HELLO_WORLD);
+      break;
+    case '/slow-response':
+      // delay the response headers
+      setTimeout(() => {
+        res.writeHead(200);
+        res.end(HELLO_WORLD);
+      }, delay);
+      break;
+    case '/slow-body': {
+      // send one chunk every `delay` ms
+      let n = +(searchParams.get('chunks') || 5);
+      res.writeHead(200);
+      res.flushHeaders();
+      const timer = setInterval(() => {
+        n -= 1;
+        if (n <= 0) {
+          clearInterval(timer);
+          res.end('done');
+        } else {
+          res.write('chunk');
+        }
+      }, delay);
+      res.on('close', () => clearInterval(timer));
+      break;
+    }
+    case '/slow-redirect':
+      // endless redirect loop, every hop takes `delay` ms
+      setTimeout(() => {
+        res.writeHead(302, { location: req.url });
+        res.end();
+      }, delay);
+      break;
+    default:
+      res.writeHead(404);
+      res.end('Not found!');
+  }
+};
+
+const testTimeouts = (name, createServer, protocol) => {
+  describe(`${name} Timeout Tests`, () => {
+    let server;
+    let origin;
+
+    before(async () => {
+      server = createServer(handler);
+      await new Promise((resolve) => server.listen(0, resolve));
+      origin = `${protocol}://localhost:${server.address().port}`;
+    });
+
+    after(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('succeeds within timeouts', async () => {
+      const { fetch, reset } = context({
+        timeout: {
+          connect: 1000, response: 1000, idle: 1000, total: 2000,
+        },
+      });
+      try {
+        const resp = await fetch(`${origin}/hello`);
+        assert.strictEqual(resp.status, 200);
+        assert.strictEqual(await resp.text(), HELLO_WORLD);
+      } finally {
+        await reset();
+      }
+    });
+
+    it('response timeout rejects', async () => {
+      const { fetch, reset } = context();
+      try {
+        await assert.rejects(
+          fetch(`${origin}/slow-response?delay=500`, { timeout: { response: 100 } }),
+          isTimeoutError('response'),
+        );
+      } finally {
+        await reset();
+      }
+    });
+
+    it('total timeout rejects before the response', async () => {
+      const { fetch, reset } = context({ timeout: { response: 1000 } });
+      try {
+        await assert.rejects(
+          fetch(`${origin}/slow-response?delay=500`, { timeout: { total: 100 } }),
+          isTimeoutError('total'),
+        );
+      } finally {
+        await reset();
+      }
+    });
+
+    it('idle timeout errors the response body', async () => {
+      const { fetch, reset } = context();
+      try {
+        const resp = await fetch(`${origin}/slow-body?delay=300`, { timeout: { idle: 100 } });
+        assert.strictEqual(resp.status, 200);
+        await assert.rejects(resp.text(), isTimeoutError('idle'));
+      } finally {
+        await reset();
+      }
+    });
+
+    it('total timeout errors the response body', async () => {
+      const { fetch, reset } = context();
+      try {
+        const resp = await fetch(`${origin}/slow-body?delay=50&chunks=20`, {
+          timeout: { idle: 200, total: 300 },
+        });
+        assert.strictEqual(resp.status, 200);
+        await assert.rejects(resp.text(), isTimeoutError('total'));
+      } finally {
+        await reset();
+      }
+    });
+
+    it('steady response body does not trigger idle timeout', async () => {
+      const { fetch, reset } = context();
+      try {
+        const resp = await fetch(`${origin}/slow-body?delay=50&chunks=6`, { timeout: { idle: 200 } });
+        assert.strictEqual(await resp.text(), 'chunkchunkchunkchunkchunkdone');
+      } finally {
+        await reset();
+      }
+    });
+
+    it('timed out requests are retried', async () => {
+      const { fetch, reset } = context({ retry: { maxAttempts: 2, delay: 1 } });
+      hits = 0;
+      try {
+        await assert.rejects(
+          fetch(`${origin}/slow-response?delay=300`, { timeout: { response: 50 } }),
+          isTimeoutError('response'),
+        );
+        assert.strictEqual(hits, 2);
+      } finally {
+        await reset();
+      }
+    });
+
+    it('total timeout spans retries', async () => {
+      const { fetch, reset } = context({ retry: { maxAttempts: 3, delay: 1, jitter: false } });
+      hits = 0;
+      try {
+        const start = Date.now();
+        await assert.rejects(
+          fetch(`${origin}/slow-response?delay=500`, { timeout: { response: 200, total: 300 } }),
+          (err) => isTimeoutError('total')(err) && /total timeout of 300 ms exceeded/.test(err.message),
+        );
+        assert(Date.now() - start < 450);
+        assert.strictEqual(hits, 2);
+      } finally {
+        await reset();
+      }
+    });
+
+    it('total timeout spans redirects', async () => {
+      const { fetch, reset } = context({ timeout: { total: 300 } });
+      try {
+        const start = Date.now();
+        await assert.rejects(
+          fetch(`${origin}/slow-redirect?delay=100`),
+          (err) => isTimeoutError('total')(err) && /total timeout of 300 ms exceeded/.test(err.message),
+        );
+        assert(Date.now() - start < 450);
+      } finally {
+        await reset();
+      }
+    });
+  });
+};
+
+testTimeouts('HTTP/1.1', http.createServer, 'http');
+testTimeouts('HTTP/2', http2.createServer, 'http2');
+
+describe('TLS Timeout Tests', () => {
+  let server;
+  let sockets;
+  let origin;
+
+  before(async () => {
+    // accepts connections but never completes the TLS handshake
+    sockets = new Set();
+    server = net.createServer((socket) => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    origin = `https://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    sockets.forEach((socket) => socket.destroy());
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('secureConnect timeout rejects', async () => {
+    const { fetch, reset } = context();
+    try {
+      await assert.rejects(
+        fetch(`${origin}/hello`, { timeout: { secureConnect: 100 } }),
+        isTimeoutError('secureConnect'),
+      );
+    } finally {
+      await reset();
+    }
+  });
+});
+
+describe('Timeout Helper Tests', () => {
+  it('watchConnect applies connect timeout', async () => {
+    const socket = new EventEmitter();
+    socket.connecting = true;
+    const err = await new Promise((resolve) => {
+      watchConnect(socket, timeouts({ connect: 10 }), resolve);
+    });
+    assert.strictEqual(err.phase, 'connect');
+    assert.strictEqual(err.message, 'connect timeout of 10 ms exceeded');
+  });
+
+  it('watchConnect cancels timeouts once connected', async () => {
+    const socket = new EventEmitter();
+    socket.connecting = true;
+    socket.encrypted = true;
+    let err;
+    watchConnect(socket, timeouts({ connect: 20, secureConnect: 20 }), (e) => {
+      err = e;
+    });
+    socket.emit('connect');
+    socket.emit('secureConnect');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(err, undefined);
+  });
+
+  it('startTimer honors total timeout', async () => {
+    const err = await new Promise((resolve) => {
+      startTimer(timeouts({ response: 1000, total: 10 }), 'response', resolve);
+    });
+    assert.strictEqual(err.phase, 'total');
+  });
+
+  it('startTimer is a no-op without timeouts', () => {
+    const cancel = startTimer(undefined, 'response', () => assert.fail('should not be called'));
+    cancel();
+    startTimer(timeouts({}), 'connect', () => assert.fail('should not be called'))();
+  });
+});
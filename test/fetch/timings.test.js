@@ -0,0 +1,178 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const http2 = require('http2');
+const util = require('util');
+
+const pem = require('pem');
+
+const { context, Response } = require('../../src/fetch');
+
+const createCertificate = util.promisify(pem.createCertificate);
+
+const HELLO_WORLD = 'Hello, World!';
+
+const PHASES = [
+  'startTime',
+  'domainLookupStart',
+  'domainLookupEnd',
+  'connectStart',
+  'connectEnd',
+  'requestStart',
+  'responseStart',
+  'responseEnd',
+];
+
+const handler = (req, res) => {
+  res.writeHead(200, { 'content-type': 'text/plain', 'cache-control': 'max-age=60' });
+  res.end(HELLO_WORLD);
+};
+
+const assertOrdered = (timings) => {
+  PHASES.forEach((phase) => assert.strictEqual(typeof timings[phase], 'number', phase));
+  PHASES.slice(1).forEach((phase, i) => assert(
+    timings[phase] >= timings[PHASES[i]],
+    `${phase} (${timings[phase]}) < ${PHASES[i]} (${timings[PHASES[i]]})`,
+  ));
+  Object.entries(timings.phases).forEach(([name, duration]) => {
+    assert(duration >= 0, `${name}: ${duration}`);
+  });
+};
+
+describe('Timings Tests', () => {
+  let httpServer;
+  let h2Server;
+  let h2cServer;
+
+  before(async () => {
+    // generate key ourselves, pem fails to do so with OpenSSL 3.x
+    const { privateKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+    });
+    const keys = await createCertificate({
+      selfSigned: true, serviceKey: privateKey, clientKey: privateKey,
+    });
+    httpServer = http.createServer(handler);
+    h2Server = http2.createSecureServer({
+      key: keys.serviceKey, cert: keys.certificate, allowHTTP1: true,
+    }, handler);
+    h2cServer = http2.createServer(handler);
+    await Promise.all([httpServer, h2Server, h2cServer].map(
+      (server) => new Promise((resolve) => server.listen(0, resolve)),
+    ));
+  });
+
+  after(async () => {
+    await Promise.all([httpServer, h2Server, h2cServer].map(
+      (server) => new Promise((resolve) => server.close(resolve)),
+    ));
+  });
+
+  it('records the phases of an HTTP/1.1 request', async () => {
+    const { fetch, reset } = context({ h1: { keepAlive: true } });
+    const { port } = httpServer.address();
+    try {
+      let resp = await fetch(`http://localhost:${port}/hello`);
+      assert.strictEqual(resp.httpVersion, '1.1');
+      // response body hasn't been consumed yet
+      assert.strictEqual(resp.timings.responseEnd, undefined);
+      assert.strictEqual(resp.timings.phases.download, undefined);
+      assert.strictEqual(await resp.text(), HELLO_WORLD);
+      let { timings } = resp;
+      assertOrdered(timings);
+      assert.strictEqual(timings.reusedConnection, false);
+      assert.strictEqual(timings.secureConnectionStart, undefined);
+      assert.strictEqual(timings.phases.tls, 0);
+
+      // keep-alive socket is reused
+      resp = await fetch(`http://localhost:${port}/hello`);
+      await resp.text();
+      ({ timings } = resp);
+      assertOrdered(timings);
+      assert.strictEqual(timings.reusedConnection, true);
+      assert.strictEqual(timings.phases.dns, 0);
+      assert.strictEqual(timings.phases.tcp, 0);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('records the phases of HTTP/2 requests over TLS', async () => {
+    const { fetch, reset } = context({ rejectUnauthorized: false });
+    const { port } = h2Server.address();
+    try {
+      let resp = await fetch(`https://localhost:${port}/hello`);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      await resp.text();
+      let { timings } = resp;
+      assertOrdered(timings);
+      assert.strictEqual(timings.reusedConnection, false);
+      assert(timings.secureConnectionStart >= timings.connectStart);
+      assert(timings.connectEnd >= timings.secureConnectionStart);
+
+      // cached session is reused
+      resp = await fetch(`https://localhost:${port}/hello`);
+      await resp.text();
+      ({ timings } = resp);
+      assertOrdered(timings);
+      assert.strictEqual(timings.reusedConnection, true);
+      assert.strictEqual(timings.phases.dns, 0);
+      assert.strictEqual(timings.phases.tcp, 0);
+      assert.strictEqual(timings.phases.tls, 0);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('records the phases of an h2c request', async () => {
+    const { fetch, reset } = context();
+    const { port } = h2cServer.address();
+    try {
+      const resp = await fetch(`http2://127.0.0.1:${port}/hello`);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      await resp.text();
+      const { timings } = resp;
+      assertOrdered(timings);
+      assert.strictEqual(timings.reusedConnection, false);
+      // no DNS lookup for ip addresses
+      assert.strictEqual(timings.phases.dns, 0);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('timings are not available for cached and synthetic responses', async () => {
+    const { fetch, reset } = context({ cache: true });
+    const { port } = httpServer.address();
+    try {
+      let resp = await fetch(`http://localhost:${port}/cached`);
+      await resp.text();
+      assert(resp.timings);
+      resp = await fetch(`http://localhost:${port}/cached`);
+      await resp.text();
+      assert(resp.fromCache);
+      assert.strictEqual(resp.timings, undefined);
+    } finally {
+      await reset();
+    }
+    assert.strictEqual(new Response('synthetic').timings, undefined);
+  });
+});
@@ -0,0 +1,203 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+
+const { context, FetchError } = require('../../src/fetch');
+const { traceContextHeaders } = require('../../src/fetch/tracing');
+
+// in-memory tracer
+class InMemoryTracer {
+  constructor() {
+    this.spans = [];
+  }
+
+  startSpan(name, { kind, attributes }, parent) {
+    const span = {
+      name,
+      kind,
+      attributes: { ...attributes },
+      parent,
+      traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+      spanId: crypto.randomBytes(8).toString('hex'),
+      status: undefined,
+      exceptions: [],
+      ended: false,
+      setAttribute(key, value) {
+        this.attributes[key] = value;
+      },
+      setStatus(status) {
+        this.status = status;
+      },
+      recordException(err) {
+        this.exceptions.push(err);
+      },
+      end() {
+        this.ended = true;
+      },
+      spanContext() {
+        return {
+          traceId: this.traceId, spanId: this.spanId, traceFlags: 1, traceState: 'vendor=foo',
+        };
+      },
+    };
+    this.spans.push(span);
+    return span;
+  }
+}
+
+describe('Tracing Tests', () => {
+  let server;
+  let origin;
+  let hits;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits += 1;
+      const { pathname } = new URL(req.url, 'http://localhost');
+      switch (pathname) {
+        case '/echo':
+          res.writeHead(200, { 'content-type': 'application/json' });
+          res.end(JSON.stringify(req.headers));
+          break;
+        case '/redirect':
+          res.writeHead(302, { location: '/echo' });
+          res.end();
+          break;
+        case '/flaky':
+          res.writeHead(hits === 1 ? 503 : 200);
+          res.end();
+          break;
+        default:
+          res.writeHead(404);
+          res.end('Not found!');
+      }
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    origin = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    hits = 0;
+  });
+
+  it('creates a span per fetch and injects trace context headers', async () => {
+    const tracer = new InMemoryTracer();
+    const { fetch, reset } = context({ tracing: tracer });
+    try {
+      const resp = await fetch(`${origin}/echo`);
+      const headers = await resp.json();
+      const [root, child] = tracer.spans;
+      assert.strictEqual(tracer.spans.length, 2);
+      assert.strictEqual(root.name, 'fetch GET');
+      assert.strictEqual(root.kind, 2);
+      assert.strictEqual(root.parent, undefined);
+      assert.strictEqual(root.attributes['url.full'], `${origin}/echo`);
+      assert.strictEqual(root.attributes['http.response.status_code'], 200);
+      assert.strictEqual(child.name, 'GET');
+      assert.strictEqual(child.parent, root);
+      assert.deepStrictEqual(child.attributes, {
+        'http.request.method': 'GET',
+        'url.full': `${origin}/echo`,
+        'server.address': 'localhost',
+        'server.port': server.address().port,
+        'http.response.status_code': 200,
+        'network.protocol.version': '1.1',
+        'poly-fetch.protocol': 'http/1.1',
+      });
+      assert(root.ended && child.ended);
+      assert.strictEqual(root.status, undefined);
+      // server trace joins the child span
+      assert.strictEqual(headers.traceparent, `00-${root.traceId}-${child.spanId}-01`);
+      assert.strictEqual(headers.tracestate, 'vendor=foo');
+    } finally {
+      await reset();
+    }
+  });
+
+  it('creates child spans per redirect hop and retry', async () => {
+    const tracer = new InMemoryTracer();
+    const { fetch, reset } = context({ tracing: tracer, retry: { maxAttempts: 2, delay: 1 } });
+    try {
+      let resp = await fetch(`${origin}/redirect`);
+      assert.strictEqual(resp.status, 200);
+      await resp.text();
+      hits = 0;
+      resp = await fetch(`${origin}/flaky`);
+      assert.strictEqual(resp.status, 200);
+      await resp.text();
+    } finally {
+      await reset();
+    }
+    const [root1, hop1, hop2, root2, attempt1, attempt2] = tracer.spans;
+    assert.strictEqual(tracer.spans.length, 6);
+    assert.deepStrictEqual([hop1.parent, hop2.parent], [root1, root1]);
+    assert.strictEqual(hop1.attributes['http.response.status_code'], 302);
+    assert.strictEqual(hop2.attributes['url.full'], `${origin}/echo`);
+    assert.strictEqual(hop2.attributes['http.request.resend_count'], 1);
+    assert.deepStrictEqual([attempt1.parent, attempt2.parent], [root2, root2]);
+    assert.strictEqual(attempt1.attributes['http.response.status_code'], 503);
+    assert.deepStrictEqual(attempt1.status, { code: 2 });
+    assert.strictEqual(attempt2.attributes['http.request.resend_count'], 1);
+    assert.strictEqual(attempt2.status, undefined);
+    assert(tracer.spans.every((span) => span.ended));
+  });
+
+  it('records errors', async () => {
+    const tracer = new InMemoryTracer();
+    const { fetch, reset } = context({ tracing: tracer });
+    const srv = http.createServer();
+    await new Promise((resolve) => srv.listen(0, resolve));
+    const { port } = srv.address();
+    await new Promise((resolve) => srv.close(resolve));
+    try {
+      await assert.rejects(fetch(`http://localhost:${port}/`), FetchError);
+    } finally {
+      await reset();
+    }
+    assert.strictEqual(tracer.spans.length, 2);
+    tracer.spans.forEach((span) => {
+      assert(span.ended);
+      assert.strictEqual(span.status.code, 2);
+      assert.strictEqual(span.exceptions.length, 1);
+    });
+  });
+
+  it('rejects invalid tracing option', () => {
+    assert.throws(() => context({ tracing: {} }), TypeError);
+  });
+
+  it('ignores invalid span contexts', () => {
+    assert.deepStrictEqual(traceContextHeaders({}), {});
+    assert.deepStrictEqual(traceContextHeaders({
+      spanContext: () => ({ traceId: '0'.repeat(32), spanId: '1'.repeat(16) }),
+    }), {});
+    assert.deepStrictEqual(traceContextHeaders({
+      spanContext: () => ({
+        traceId: '1'.repeat(32),
+        spanId: '2'.repeat(16),
+        traceFlags: 0,
+        traceState: { serialize: () => 'a=b' },
+      }),
+    }), { traceparent: `00-${'1'.repeat(32)}-${'2'.repeat(16)}-00`, tracestate: 'a=b' });
+  });
+});
@@ -0,0 +1,156 @@
+/*
+ * Copyright 2020 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const http2 = require('http2');
+const os = require('os');
+const path = require('path');
+
+const { context } = require('../../src/fetch');
+
+const socketFile = (name) => path.join(os.tmpdir(), `poly-fetch-${process.pid}-${name}.sock`);
+
+const listen = (server, socketPath) => new Promise((resolve, reject) => {
+  if (fs.existsSync(socketPath)) {
+    fs.unlinkSync(socketPath);
+  }
+  server.once('error', reject);
+  server.listen(socketPath, resolve);
+});
+
+describe('Unix Domain Socket Tests', () => {
+  const h1Socket = socketFile('h1');
+  const h2cSocket = socketFile('h2c');
+  const otherH2cSocket = socketFile('h2c-other');
+  let h1Server;
+  let h2cServer;
+  let otherH2cServer;
+
+  const handler = (name) => (req, res) => {
+    if (req.url === '/redirect') {
+      res.writeHead(302, { location: '/info' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({
+      server: name,
+      url: req.url,
+      host: req.headers.host || req.headers[':authority'],
+    }));
+  };
+
+  before(async () => {
+    h1Server = http.createServer(handler('h1'));
+    h2cServer = http2.createServer(handler('h2c'));
+    h2cServer.sessions = 0;
+    h2cServer.on('session', () => {
+      h2cServer.sessions += 1;
+    });
+    otherH2cServer = http2.createServer(handler('h2c-other'));
+    await listen(h1Server, h1Socket);
+    await listen(h2cServer, h2cSocket);
+    await listen(otherH2cServer, otherH2cSocket);
+  });
+
+  after(async () => {
+    await Promise.all([h1Server, h2cServer, otherH2cServer].map(
+      (server) => new Promise((resolve) => server.close(resolve)),
+    ));
+  });
+
+  it('supports socketPath context option', async () => {
+    const { fetch, reset } = context({ socketPath: h1Socket });
+    try {
+      const resp = await fetch('http://docker/v1.41/info?all=1');
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.httpVersion, '1.1');
+      assert.deepStrictEqual(await resp.json(), { server: 'h1', url: '/v1.41/info?all=1', host: 'docker' });
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports socketPath fetch option', async () => {
+    const { fetch, reset } = context({ socketPath: '/does/not/exist.sock' });
+    try {
+      const resp = await fetch('http://localhost/info', { socketPath: h1Socket });
+      assert.strictEqual((await resp.json()).server, 'h1');
+      await assert.rejects(fetch('http://localhost/info'), { code: 'ENOENT' });
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports http+unix: urls and follows redirects over the socket', async () => {
+    const { fetch, reset } = context();
+    try {
+      const url = `http+unix://${encodeURIComponent(h1Socket)}/redirect`;
+      const resp = await fetch(url);
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.redirected, true);
+      assert.strictEqual(resp.url, `http+unix://${encodeURIComponent(h1Socket)}/info`);
+      assert.deepStrictEqual(await resp.json(), { server: 'h1', url: '/info', host: 'localhost' });
+    } finally {
+      await reset();
+    }
+  });
+
+  it('supports h2c (prior knowledge) over unix domain sockets', async () => {
+    const { fetch, reset } = context();
+    try {
+      const url = `http2+unix://${encodeURIComponent(h2cSocket)}/info`;
+      let resp = await fetch(url);
+      assert.strictEqual(resp.httpVersion, '2.0');
+      assert.strictEqual((await resp.json()).server, 'h2c');
+      assert(resp.timings.connectEnd !== undefined);
+      // session is reused
+      resp = await fetch(url);
+      assert.strictEqual((await resp.json()).server, 'h2c');
+      assert.strictEqual(h2cServer.sessions, 1);
+    } finally {
+      await reset();
+    }
+  });
+
+  it('caches protocols and sessions per socket path', async () => {
+    const { fetch, reset } = context({ socketPath: h2cSocket });
+    try {
+      let resp = await fetch('http2://localhost/info');
+      assert.strictEqual((await resp.json()).server, 'h2c');
+      resp = await fetch('http2://localhost/info', { socketPath: otherH2cSocket });
+      assert.strictEqual((await resp.json()).server, 'h2c-other');
+      // `socketPath: false` connects to the url's host
+      await assert.rejects(
+        fetch('http2://localhost:1/info', { socketPath: false }),
+        { code: 'ECONNREFUSED' },
+      );
+    } finally {
+      await reset();
+    }
+  });
+
+  it('rejects socketPath for https: urls', async () => {
+    const { fetch, reset } = context({ socketPath: h1Socket });
+    try {
+      await assert.rejects(fetch('https://localhost/info'), TypeError);
+    } finally {
+      await reset();
+    }
+  });
+});